@@ -2,194 +2,813 @@
   NeuroForge // app.js
 
   Purpose:
-    - Store baselines + session logs in localStorage
-    - Run training modes (Daily / Tri / Full)
+    - Browser layer over core.js (state model, migrations, derived values,
+      formatting, drills); this file owns the DOM, storage backends + events
+    - Store baselines + session logs in IndexedDB (one record per entry;
+      localStorage fallback), only writing what changed
+    - Cross-tab sync: revision-checked saves, live reload + 3-way merge
+    - Optional remote sync: per-entry push/pull to a self-hosted endpoint,
+      tombstones for deletions, conflicting edits reviewed by hand
+    - Versioned schema: ordered migrations + pre-migration snapshot
+    - Baseline history (dated points per skill) + trend charts
+    - ISO timestamps per entry, streaks + activity heatmap
+    - Analytics: sleep / mood / difficulty / enjoyment vs. outcomes
+    - Levels, ranks, per-skill XP + achievements (all derived from the log)
+    - Installable PWA: works offline, prompts when a new version is deployed
+    - Export / import JSON backups (replace or merge), optionally passphrase-encrypted
+    - Lock mode: a profile stays encrypted at rest, passphrase asked at boot
+    - CSV + Markdown journal export (date range / skill / completed-only)
+    - Undo / redo for destructive actions (toast + Ctrl/Cmd+Z, last few survive reload)
+    - Named profiles (separate data per person) + switcher
+    - Run training modes (configurable: skills, fixed picks, XP, time limit)
+    - Adaptive skill selection (uniform / weakness / spaced repetition)
+    - User-defined skills: add / rename (cascades through the log) / archive
+    - Generate seeded local drills for deterministic skills
+    - Timed drill runner: auto-scored, XP scales with accuracy
     - Mission Console:
-        * paste challenge
+        * paste challenge (Markdown, with preview)
+        * Training Packs split into steps: per-step answers, checks, optional XP
         * write answers
         * add insights (separate)
         * add metrics (mood/sleep/difficulty/enjoyed)
         * mark complete to earn XP
-        * save into the newest log entry
+        * save into the newest log entry, or any entry picked from the log
+        * unsaved edits kept as per-entry drafts (survive reloads)
     - Session Log controls:
-        * per-entry copy to clipboard
+        * search / filter / sort (bookmarkable via URL hash)
+        * long logs render a page at a time (more load on scroll); an entry's
+          DOM is only rebuilt when that entry changes
+        * challenge / answers / insights rendered as sanitized Markdown
+        * per-entry copy to clipboard (+ bulk copy of selected entries)
         * per-entry edit
         * per-entry delete
         * per-entry "Complete" toggle (earned XP model)
 
   Sections:
-    01) Constants + Default State
-    02) Storage + Helpers
-    03) Derived Values (Earned XP, formatting)
+    01) Core Imports + Constants
+    02) Storage (backends, lock, profiles, persistence, cross-tab sync)
+    03) Status + Banners
     04) Rendering (UI)
     05) Modal System
-    06) Core Actions (sessions, retest, export, reset)
-    07) Mission Console Actions
-    08) Session Log Actions (copy/edit/delete/complete)
-    09) Event Wiring + Boot
+    06) Core Actions (sessions, retest, export, import, profiles, reset)
+    07) Mission Console Actions (drafts, entry picker, save)
+    08) Session Log Actions (filter, drill/key/copy/console/edit/delete/complete)
+    09) Drill Runner (timed, auto-scored; generators live in core.js)
+    10) Remote Sync (settings, runs, conflict review)
+    11) Event Wiring + Boot
 ========================================================= */
 
 /* ---------------------------------------------------------
-  01) CONSTANTS + DEFAULT STATE
+  01) CORE IMPORTS + CONSTANTS
 --------------------------------------------------------- */
+// core.js loads first (see index.html); everything DOM-free lives there
+const {
+  structuredCloneSafe, clamp, scoreToPct, entryStamp, escapeHtml,
+  mdInline, renderMarkdown, formatDelta, formatDay, syncEntrySteps, stepProgress,
+  formatScore, MIGRATIONS, SCHEMA_VERSION, normalizeState, SKILL_COLORS,
+  activeSkillNames,
+  validateStateShape, diffMaps, mergeStates, isPlainObject, sameJson, mergeThreeWay,
+  entryEarnedXP, calcXP, formatMs, dayKey, addDays, weekStart, buildDailyBuckets,
+  calcStreaks, EMPTY_LOG_FILTER, DIFFICULTIES, MOODS, parseLogFilter, logFilterToHash,
+  isLogFilterActive, filterLog, completionBySleep, completionByEnjoyment,
+  difficultyByCategory, moodByWeek, SELECTION_POLICIES, levelInfo, skillXP,
+  calcAchievements, rollSession, recordRetest, updateLogEntry, setEntryCompleted,
+  setStepDone, recordDrillResult, deleteLogEntry, clearLog, replaceState, resetState,
+  setModes, parseBaselineScores, setBaselines, validateSkillEdits, updateSkills, STATE_KEYS,
+  recordChange, isEmptyPatch, applyPatch, entryPackSteps, entryToClipboardText,
+  logToCsv, logToMarkdown, gradeAnswer, summarizeDrill, staleRevisionError,
+  snapshotOf, createSavedCopy, loadStateFrom, backupKey, isEncryptedBlob, deriveLock,
+  encryptText, decryptText, readLockedEnvelope, createEncryptedStorage, unlockStorage,
+  emptySyncMeta, touchEdits, resolveConflict, syncWithRemote, createHttpTransport
+} = NeuroForgeCore;
+
+// Key name is historical; the blob carries its own schemaVersion (see MIGRATIONS)
 const STORAGE_KEY = "neuroforge_v1";
 
-const DEFAULT_STATE = {
-  baselines: {
-    "Focus & Attention": 6,
-    "Working Memory": 8.5,
-    "Logic & Reasoning": 6,
-    "Comprehension & Synthesis": 7.5,
-    "Vocabulary": 8,
-    "Quick Math": 4.5,
-    "Visualization": 8,
-    "Spatial Awareness": 7,
-    "Pattern Recognition": 9,
-    "Decision-Making Under Uncertainty": 8.5
-  },
-
-  notes: {
-    "Focus & Attention": "Rotation ≠ hierarchy change. Guard against assumption drift.",
-    "Working Memory": "Strong filter under interference.",
-    "Logic & Reasoning": "Needs formal rigor (syllogism overlap trap).",
-    "Comprehension & Synthesis": "Good gist; add why/how for depth.",
-    "Vocabulary": "Solid recognition; we’ll test active use later.",
-    "Quick Math": "Accuracy under pressure is the XP farm.",
-    "Visualization": "Strong mental imagery; keep sharpening transformations.",
-    "Spatial Awareness": "Good directional reasoning; confidence wobble only.",
-    "Pattern Recognition": "Standout strength. Use it everywhere.",
-    "Decision-Making Under Uncertainty": "Good expected-value instincts."
-  },
-
-  todayFocus: "—",
-  log: []
-};
-
 /* ---------------------------------------------------------
-  02) STORAGE + HELPERS
+  02) STORAGE (backends, lock, profiles, persistence, sync)
 --------------------------------------------------------- */
-function structuredCloneSafe(x){
-  return JSON.parse(JSON.stringify(x));
-}
-
 function $(id){
   return document.getElementById(id);
 }
 
-function saveState(){
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+/* --- Storage backends ---
+   IndexedDB + localStorage, both implementing the storage interface
+   described in core.js (08), so core's loadStateFrom() works on either.
+*/
+const IDB_NAME = "neuroforge";
+const IDB_VERSION = 1;
+
+// Browsers cap localStorage at roughly 5M UTF-16 characters per origin
+const LOCALSTORAGE_QUOTA_CHARS = 5 * 1024 * 1024;
+const STORAGE_WARN_RATIO = 0.8;
+
+function idbRequest(req){
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbDone(tx){
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
 }
 
-function loadState(){
-  try{
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if(!raw) return structuredCloneSafe(DEFAULT_STATE);
+function openIndexedDB(name){
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, IDB_VERSION);
 
-    const parsed = JSON.parse(raw);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore("meta");                        // "state" -> everything but the log (+ logOrder), "revision" -> number
+      db.createObjectStore("entries", { keyPath: "id" });  // one record per log entry
+      db.createObjectStore("backups");                     // key -> raw JSON string
+    };
 
-    const st = {
-      ...structuredCloneSafe(DEFAULT_STATE),
-      ...parsed,
-      baselines: { ...structuredCloneSafe(DEFAULT_STATE.baselines), ...(parsed.baselines || {}) },
-      notes: { ...structuredCloneSafe(DEFAULT_STATE.notes), ...(parsed.notes || {}) },
-      log: Array.isArray(parsed.log) ? parsed.log : []
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => db.close(); // let another tab delete this profile
+      resolve(db);
     };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB is blocked by another tab"));
+  });
+}
+
+function createLocalStorageBackend(key = STORAGE_KEY){
+  const revisionKey = `${key}__revision`;
+  let lastJson = null;
+  let lastRevision = null; // null until loaded: a write-only handle doesn't check
+
+  const storedRevision = () => Number(localStorage.getItem(revisionKey)) || 0;
+
+  return {
+    kind: "localStorage",
+
+    async loadRaw(){
+      lastJson = localStorage.getItem(key);
+      lastRevision = storedRevision();
+      return lastJson;
+    },
+
+    async save(snapshot){
+      const json = JSON.stringify(snapshot);
+      if(json === lastJson) return { written: 0, revision: lastRevision };
+
+      // localStorage is synchronous, so check-and-write can't interleave with another tab
+      const current = storedRevision();
+      if(lastRevision !== null && current !== lastRevision) throw staleRevisionError(current, lastRevision);
+
+      localStorage.setItem(key, json); // throws QuotaExceededError when full
+      localStorage.setItem(revisionKey, String(current + 1));
+      lastJson = json;
+      lastRevision = current + 1;
+      return { written: 1, revision: lastRevision };
+    },
+
+    revision(){
+      return lastRevision || 0;
+    },
+
+    async readRevision(){
+      return storedRevision();
+    },
+
+    async putBackup(name, raw){
+      localStorage.setItem(`${key}__${name}`, raw);
+    },
+
+    async getBackup(name){
+      return localStorage.getItem(`${key}__${name}`);
+    },
+
+    async estimate(){
+      let usage = 0;
+      for(let i = 0; i < localStorage.length; i++){
+        const k = localStorage.key(i);
+        usage += k.length + (localStorage.getItem(k) || "").length;
+      }
+      return { usage, quota: LOCALSTORAGE_QUOTA_CHARS };
+    },
+
+    close(){},
+
+    async destroy(){
+      for(const k of Object.keys(localStorage)){
+        if(k === key || k.startsWith(`${key}__`)) localStorage.removeItem(k);
+      }
+    }
+  };
+}
 
-    // MIGRATION / NORMALIZATION
-    st.log = st.log.map(e => {
-      const out = { ...e };
+/**
+ * IndexedDB backend: meta blob + one record per log entry.
+ * Remembers what it last wrote, so a save only touches changed entries (and
+ * only serializes the ones named in `ids`), all inside one transaction.
+ * On first run it picks up existing localStorage data and moves it over
+ * once the first save has landed.
+ */
+function createIndexedDBBackend(db, legacyKey = STORAGE_KEY){
+  let savedMeta = null;
+  let savedEntries = new Map(); // id -> JSON as last written
+  let legacyRaw = null;
+  let lastRevision = null; // null until loaded: a write-only handle doesn't check
+
+  return {
+    kind: "indexeddb",
+
+    async loadRaw(){
+      const tx = db.transaction(["meta", "entries"], "readonly");
+      const metaStore = tx.objectStore("meta");
+      const [meta, entries, revision] = await Promise.all([
+        idbRequest(metaStore.get("state")),
+        idbRequest(tx.objectStore("entries").getAll()),
+        idbRequest(metaStore.get("revision"))
+      ]);
+
+      lastRevision = Number(revision) || 0;
+      savedMeta = null;
+      savedEntries = new Map();
+
+      if(!meta){
+        legacyRaw = localStorage.getItem(legacyKey);
+        return legacyRaw;
+      }
 
-      if(typeof out.xpPotential !== "number" && typeof out.xp === "number"){
-        out.xpPotential = out.xp;
+      const { logOrder = [], ...rest } = meta;
+      const byId = new Map(entries.map(e => [e.id, e]));
+      const log = logOrder.map(id => byId.get(id)).filter(Boolean);
+      const ordered = new Set(logOrder);
+      for(const e of entries){
+        if(!ordered.has(e.id)) log.push(e);
       }
 
-      if(typeof out.completed !== "boolean"){
-        out.completed = true;
+      savedMeta = JSON.stringify(meta);
+      savedEntries = new Map(entries.map(e => [e.id, JSON.stringify(e)]));
+
+      return JSON.stringify({ ...rest, log });
+    },
+
+    async save(snapshot, ids = null){
+      const { log, ...rest } = snapshot;
+      const meta = { ...rest, logOrder: log.map(e => e.id) };
+      const metaJson = JSON.stringify(meta);
+
+      const changed = [];
+      const seen = new Set();
+      for(const e of log){
+        seen.add(e.id);
+        if(ids && !ids.has(e.id) && savedEntries.has(e.id)) continue;
+        const json = JSON.stringify(e);
+        if(savedEntries.get(e.id) !== json) changed.push([e, json]);
+      }
+      const removed = [...savedEntries.keys()].filter(id => !seen.has(id));
+
+      const metaChanged = metaJson !== savedMeta;
+      if(!metaChanged && !changed.length && !removed.length) return { written: 0, revision: lastRevision };
+
+      const tx = db.transaction(["meta", "entries"], "readwrite");
+      const done = idbDone(tx);
+      const metaStore = tx.objectStore("meta");
+      const entriesStore = tx.objectStore("entries");
+
+      // Revision check inside the write transaction: another tab can't slip in between
+      const current = Number(await idbRequest(metaStore.get("revision"))) || 0;
+      if(lastRevision !== null && current !== lastRevision){
+        tx.abort();
+        await done.catch(() => {});
+        throw staleRevisionError(current, lastRevision);
       }
 
-      delete out.xp;
+      metaStore.put(current + 1, "revision");
+      if(metaChanged) metaStore.put(meta, "state");
+      for(const [e] of changed) entriesStore.put(e);
+      for(const id of removed) entriesStore.delete(id);
+      await done;
+
+      lastRevision = current + 1;
+      savedMeta = metaJson;
+      for(const [e, json] of changed) savedEntries.set(e.id, json);
+      for(const id of removed) savedEntries.delete(id);
+
+      // First successful write after picking up localStorage data: move the old copy aside
+      if(legacyRaw !== null){
+        localStorage.setItem(`${legacyKey}__moved_to_indexeddb`, legacyRaw);
+        localStorage.removeItem(legacyKey);
+        legacyRaw = null;
+      }
 
-      out.xpPotential = typeof out.xpPotential === "number" ? out.xpPotential : 0;
+      return { written: changed.length + removed.length + (metaChanged ? 1 : 0), revision: lastRevision };
+    },
+
+    revision(){
+      return lastRevision || 0;
+    },
+
+    async readRevision(){
+      const tx = db.transaction("meta", "readonly");
+      return Number(await idbRequest(tx.objectStore("meta").get("revision"))) || 0;
+    },
+
+    async putBackup(name, raw){
+      const tx = db.transaction("backups", "readwrite");
+      tx.objectStore("backups").put(raw, name);
+      await idbDone(tx);
+    },
+
+    async getBackup(name){
+      const tx = db.transaction("backups", "readonly");
+      return idbRequest(tx.objectStore("backups").get(name));
+    },
+
+    async estimate(){
+      if(!navigator.storage?.estimate) return null;
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    },
+
+    close(){
+      db.close();
+    },
+
+    async destroy(){
+      db.close();
+      await idbRequest(indexedDB.deleteDatabase(db.name));
+      localStorage.removeItem(legacyKey);
+    }
+  };
+}
 
-      out.mood ??= "";
-      out.sleepHrs ??= "";
-      out.difficulty ??= "";
-      out.liked ??= "";
+/**
+ * IndexedDB when available, localStorage otherwise
+ * (old browsers, some private modes).
+ * Each profile gets its own database / key; "default" keeps the original names.
+ */
+async function openStorage(profileId = DEFAULT_PROFILE_ID){
+  const key = profileStorageKey(profileId);
+
+  if(typeof indexedDB !== "undefined"){
+    try{
+      return createIndexedDBBackend(await openIndexedDB(profileDbName(profileId)), key);
+    }catch(e){
+      storageFallback = e;
+    }
+  }
+  return createLocalStorageBackend(key);
+}
 
-      out.challengeText ??= "";
-      out.answerText ??= "";
-      out.insightText ??= ""; // NEW: Insights field
+/* --- Lock (encrypted at rest) ---
+   A locked profile stores one encrypted envelope instead of readable data
+   (core.js, 09). The passphrase is asked for when the profile opens and the
+   derived key only lives in this tab's memory.
+*/
+const PASSPHRASE_MIN_LENGTH = 8;
 
-      return out;
+/**
+ * Open the active profile's backend, asking for the passphrase when it's locked
+ * (again after a wrong one). Cancelling returns the locked backend as is:
+ * loadState() then reports the data as blocked and nothing is overwritten.
+ */
+async function openActiveStorage(){
+  const inner = await openStorage(profileRegistry.activeId);
+  const envelope = await readLockedEnvelope(inner);
+  if(!envelope) return inner;
+
+  let error = "";
+  for(;;){
+    const answer = await askPassphrase({
+      title: "🔒 Unlock",
+      intro: `“${escapeHtml(activeProfile().name)}” is locked. Enter its passphrase to open it.`,
+      error
     });
+    if(!answer) return inner;
+
+    try{
+      return await unlockStorage(inner, envelope, answer.passphrase);
+    }catch(e){
+      error = e.name === "WrongPassphraseError" ? "Wrong passphrase — try again." : String(e.message || e);
+    }
+  }
+}
+
+/** Backup records that hold profile data (re-written when the lock changes). */
+function profileBackupNames(){
+  return [UNDO_BACKUP_NAME, DRAFTS_BACKUP_NAME, SYNC_META_NAME, ...MIGRATIONS.map(m => backupKey(m.from))];
+}
+
+/**
+ * Lock the active profile with `passphrase` (or change it), or unlock it for good
+ * with null. Runs on the save queue; everything is re-written under the new setting.
+ */
+function setLock(passphrase){
+  if(draftTimer) persistDrafts();
+
+  return queueSave(async () => {
+    const base = storage.inner || storage;
+    const next = passphrase ? createEncryptedStorage(base, await deriveLock(passphrase)) : base;
+
+    for(const name of profileBackupNames()){
+      const raw = await storage.getBackup(name).catch(() => null);
+      if(raw !== null && raw !== undefined) await next.putBackup(name, raw);
+    }
+
+    storage = next;
+    await saveState();
+    renderLockButton();
+    return true;
+  });
+}
+
+/* --- Profiles ---
+   Registry lives in localStorage (tiny, read synchronously at boot):
+   { activeId, profiles: [{ id, name, createdAt }] }
+*/
+const PROFILES_KEY = "neuroforge_profiles";
+const DEFAULT_PROFILE_ID = "default";
+
+function profileStorageKey(id){
+  return id === DEFAULT_PROFILE_ID ? STORAGE_KEY : `${STORAGE_KEY}__profile_${id}`;
+}
+
+function profileDbName(id){
+  return id === DEFAULT_PROFILE_ID ? IDB_NAME : `${IDB_NAME}__${id}`;
+}
 
-    return st;
+function loadProfiles(){
+  let reg = null;
+  try{
+    reg = JSON.parse(localStorage.getItem(PROFILES_KEY) || "null");
   }catch{
-    return structuredCloneSafe(DEFAULT_STATE);
+    reg = null;
   }
+
+  const profiles = Array.isArray(reg?.profiles)
+    ? reg.profiles.filter(p => p && typeof p.id === "string" && p.id)
+    : [];
+  if(!profiles.length) profiles.push({ id: DEFAULT_PROFILE_ID, name: "Main", createdAt: new Date().toISOString() });
+
+  const activeId = profiles.some(p => p.id === reg?.activeId) ? reg.activeId : profiles[0].id;
+  return { activeId, profiles };
+}
+
+function saveProfiles(){
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profileRegistry));
+}
+
+function activeProfile(){
+  return profileRegistry.profiles.find(p => p.id === profileRegistry.activeId);
 }
 
-function clamp(n, min, max){
-  return Math.max(min, Math.min(max, n));
+/** Profile registry, loaded at boot. */
+let profileRegistry = null;
+
+/**
+ * Set when stored data can't be read or migrated.
+ * While set, saveState() refuses to write so the original blob stays untouched.
+ */
+let storageBlocked = null;
+
+/** Set after a successful upgrade so boot can tell the user (and offer the snapshot). */
+let migrationNotice = null;
+
+/** Set when IndexedDB couldn't be opened and data went to localStorage instead. */
+let storageFallback = null;
+
+/** Active backend, picked at boot by openStorage(). */
+let storage = null;
+
+function snapshotState(){
+  return snapshotOf(state);
+}
+
+let saveTimer = null;
+let saveChain = Promise.resolve();
+let saveFailed = false;
+let lastQuotaCheck = 0;
+
+// Entries changed since the last save; with unsavedAll every entry is checked
+let unsavedIds = new Set();
+let unsavedAll = true;
+
+/** Note what changed: one entry's id, or null for anything. */
+function markUnsaved(id = null){
+  if(id === null) unsavedAll = true;
+  else unsavedIds.add(id);
+}
+
+/** What changed since the last save, as a Set of ids or null (check everything). */
+function takeUnsaved(){
+  const ids = unsavedAll ? null : unsavedIds;
+  unsavedIds = new Set();
+  unsavedAll = false;
+  return ids;
+}
+
+/**
+ * Schedule a save; `changedId` is the one entry the change touched (null = any).
+ * Calls within the same tick collapse into one write, and writes run one after
+ * another so they can't interleave.
+ */
+function persist(changedId = null){
+  markUnsaved(changedId);
+  if(saveTimer || storageBlocked) return;
+
+  saveTimer = window.setTimeout(() => {
+    saveTimer = null;
+    queueSave(() => saveState());
+  }, 0);
 }
 
-function scoreToPct(score){
-  return clamp((score / 10) * 100, 0, 100);
+/**
+ * Run `step` on the save queue. A step that throws is reported like a failed
+ * save and resolves to false, so the queue keeps running for the next one.
+ */
+function queueSave(step){
+  saveChain = saveChain.then(step).catch(err => {
+    markUnsaved();
+    saveFailed = true;
+    showSaveError(err);
+    return false;
+  });
+  return saveChain;
 }
 
-function pickRandom(arr, count){
-  const a = [...arr];
-  const out = [];
+async function saveState(attempt = 0){
+  if(storageBlocked) return;
 
-  while(out.length < count && a.length){
-    const i = Math.floor(Math.random() * a.length);
-    out.push(a.splice(i, 1)[0]);
+  const ids = takeUnsaved();
+  stampEdits(ids);
+  const snapshot = snapshotState();
+  try{
+    const { written, revision } = await storage.save(snapshot, ids);
+    savedCopy.remember(snapshot, ids);
+    if(written) announceSave(revision);
+    if(saveFailed){
+      saveFailed = false;
+      hideBanner();
+    }
+  }catch(err){
+    // Another tab saved first: fold its changes into ours and write the result
+    if(err.name === "StaleRevisionError" && attempt < 3){
+      await pullExternalChanges();
+      return saveState(attempt + 1);
+    }
+    // Nothing of this save landed: the next one checks everything again
+    markUnsaved();
+    saveFailed = true;
+    showSaveError(err);
+    return;
   }
 
-  return out;
+  checkStorageQuota();
 }
 
-function nowStamp(){
-  const d = new Date();
-  return d.toLocaleString(undefined, {
-    year:"numeric",
-    month:"short",
-    day:"2-digit",
-    hour:"2-digit",
-    minute:"2-digit"
+async function checkStorageQuota(){
+  if(Date.now() - lastQuotaCheck < 60 * 1000) return;
+  lastQuotaCheck = Date.now();
+
+  const est = await storage.estimate().catch(() => null);
+  if(!est || !est.quota) return;
+
+  const ratio = est.usage / est.quota;
+  if(ratio < STORAGE_WARN_RATIO) return;
+
+  showBanner({
+    kind: "warn",
+    html: `
+      <b>Storage is ${Math.round(ratio * 100)}% full</b>
+      (${formatBytes(est.usage)} of ${formatBytes(est.quota)}).
+      Export a backup and trim long pasted packs before it runs out.
+    `,
+    actions: [
+      { label: "Export backup", primary: true, onClick: exportData },
+      { label: "Dismiss", onClick: hideBanner }
+    ]
   });
 }
 
-function escapeHtml(str){
-  return String(str)
-    .replaceAll("&","&amp;")
-    .replaceAll("<","&lt;")
-    .replaceAll(">","&gt;")
-    .replaceAll('"',"&quot;")
-    .replaceAll("'","&#039;");
+function showSaveError(err){
+  const full = err && (err.name === "QuotaExceededError" || err.code === 22);
+
+  showBanner({
+    kind: "error",
+    html: full
+      ? `<b>Storage is full — your latest changes are NOT saved.</b> Export a backup, then delete old entries or long packs.`
+      : `<b>Couldn't save:</b> ${escapeHtml(String(err && err.message || err))}. Your changes are still in this tab.`,
+    actions: [
+      { label: "Export backup", primary: true, onClick: exportData },
+      { label: "Retry save", onClick: () => persist() }
+    ]
+  });
 }
 
-function formatScore(n){
-  const s = Number(n);
-  return Number.isInteger(s) ? String(s) : String(s.toFixed(1));
+function formatBytes(n){
+  if(n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  if(n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
 }
 
-/* ---------------------------------------------------------
-  03) DERIVED VALUES (EARNED XP, etc.)
---------------------------------------------------------- */
-function calcXP(){
-  return state.log.reduce((sum, e) => {
-    const earned = e.completed ? (Number(e.xpPotential) || 0) : 0;
-    return sum + earned;
-  }, 0);
+/* --- Cross-tab sync ---
+   Every write bumps a stored revision, and a backend refuses to write over a
+   revision it hasn't seen (StaleRevisionError). Tabs announce their saves on a
+   BroadcastChannel (a localStorage ping where that's missing); the others pull
+   the new data in, three-way merging it with their own unsaved edits.
+*/
+const SYNC_CHANNEL = "neuroforge_sync";
+const SYNC_PING_KEY = "neuroforge_sync_ping";
+const TAB_ID = crypto.randomUUID();
+
+/** The data as last loaded/saved: the common base for merges. */
+const savedCopy = createSavedCopy();
+let syncChannel = null;
+
+function markSynced(){
+  savedCopy.remember(snapshotState());
+  markUnsaved();
+}
+
+function hasUnsavedChanges(){
+  return savedCopy.differs(snapshotState());
+}
+
+function announceSave(revision, profile = profileRegistry.activeId){
+  const msg = { tab: TAB_ID, profile, revision };
+  if(syncChannel){
+    syncChannel.postMessage(msg);
+  }else{
+    try{
+      localStorage.setItem(SYNC_PING_KEY, JSON.stringify(msg));
+    }catch{
+      // Ping is best effort; other tabs still catch up when they're next focused
+    }
+  }
+}
+
+function startSync(){
+  if(typeof BroadcastChannel !== "undefined"){
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+    syncChannel.onmessage = (ev) => onExternalSave(ev.data);
+  }
+
+  window.addEventListener("storage", (ev) => {
+    if(ev.key === SYNC_PING_KEY && ev.newValue){
+      try{
+        onExternalSave(JSON.parse(ev.newValue));
+      }catch{}
+    }else if(ev.key === PROFILES_KEY){
+      onExternalProfiles();
+    }
+  });
+
+  // Messages can be missed (tab frozen in the background); check on return
+  document.addEventListener("visibilitychange", () => {
+    if(document.visibilityState === "visible") queueSyncCheck();
+  });
+}
+
+function onExternalSave(msg){
+  if(!msg || msg.tab === TAB_ID || msg.profile !== profileRegistry.activeId) return;
+  if(msg.revision <= storage.revision()) return;
+  queueSyncCheck();
+}
+
+/** Runs on the save queue, so it never races one of our own writes. */
+function queueSyncCheck(){
+  queueSave(async () => {
+    if(storageBlocked) return;
+    const current = await storage.readRevision().catch(() => storage.revision());
+    if(current === storage.revision()) return;
+
+    if(await pullExternalChanges()) persist();
+  });
+}
+
+/**
+ * Load what another tab saved and make it ours, keeping local edits made since
+ * our last save. Returns true when local edits remain that still need writing.
+ */
+async function pullExternalChanges(){
+  let remote;
+  try{
+    // Lock removed in another tab: follow it instead of re-encrypting on our next save
+    if(storage.encrypted && !(await readLockedEnvelope(storage.inner))){
+      storage = storage.inner;
+      renderLockButton();
+    }
+
+    const raw = await storage.loadRaw();
+    remote = raw ? normalizeState(JSON.parse(raw)) : normalizeState({});
+  }catch(error){
+    // Usually a newer build saved in another tab; stop writing so we can't clobber it
+    storageBlocked = { raw: null, error };
+    showBanner({
+      kind: "error",
+      html: `<b>Another tab saved data this tab can't read.</b> ${escapeHtml(String(error.message || error))}<br>Changes here won't be saved until you reload.`,
+      actions: [{ label: "Reload", primary: true, onClick: () => location.reload() }]
+    });
+    return false;
+  }
+
+  const dirty = hasUnsavedChanges();
+
+  state = dirty ? mergeThreeWay(savedCopy.snapshot(), snapshotState(), remote) : remote;
+  savedCopy.remember(snapshotOf(remote));
+  markUnsaved();
+
+  render();
+  showToast(dirty ? "Merged changes from another tab." : "Updated from another tab.");
+  return hasUnsavedChanges();
+}
+
+/** Keep profile names in step; fall back if the profile open here was deleted elsewhere. */
+function onExternalProfiles(){
+  const fresh = loadProfiles();
+  const stillThere = fresh.profiles.some(p => p.id === profileRegistry.activeId);
+
+  if(stillThere){
+    profileRegistry.profiles = fresh.profiles;
+    renderProfileSwitcher();
+    return;
+  }
+
+  // Its data is gone; drop pending writes rather than recreate it
+  window.clearTimeout(saveTimer);
+  saveTimer = null;
+  profileRegistry.profiles = fresh.profiles;
+  profileRegistry.activeId = fresh.activeId;
+  queueSave(() => {
+    storage.close();
+    return reopenActiveProfile();
+  });
+}
+
+async function loadState(){
+  const { state: st, migration, blocked } = await loadStateFrom(storage);
+  if(migration) migrationNotice = migration;
+  if(blocked) storageBlocked = blocked;
+  return st;
+}
+
+/**
+ * Swap every textarea in `root` for a rendered preview (or back).
+ * Previews are rebuilt from the current values each time they're shown.
+ */
+function setMarkdownPreview(root, on){
+  root.querySelectorAll("textarea").forEach(ta => {
+    let pv = ta.nextElementSibling;
+    if(!pv || !pv.classList.contains("md-preview")){
+      pv = document.createElement("div");
+      pv.className = "entry-text md md-preview";
+      ta.after(pv);
+    }
+
+    pv.innerHTML = on ? (renderMarkdown(ta.value) || `<p class="md-empty">Nothing to preview.</p>`) : "";
+    pv.hidden = !on;
+    ta.hidden = on;
+  });
 }
 
+/* ---------------------------------------------------------
+  03) STATUS + BANNERS
+--------------------------------------------------------- */
 function setSaveStatus(msg){
   const el = $("saveStatus");
   if(!el) return;
   el.textContent = msg || "";
 }
 
+/**
+ * App-wide banner under the topbar (errors, warnings, notices).
+ * actions: [{ label, onClick, primary? }]
+ */
+function showBanner({ kind = "info", html, actions = [] }){
+  const el = $("appBanner");
+  if(!el) return;
+
+  el.className = `banner banner-${kind}`;
+  el.innerHTML = `
+    <div class="banner-text">${html}</div>
+    <div class="banner-actions">
+      ${actions.map((a, i) => `<button class="btn ${a.primary ? "btn-primary" : "btn-ghost"}" data-banner="${i}">${escapeHtml(a.label)}</button>`).join("")}
+    </div>
+  `;
+
+  el.querySelectorAll("[data-banner]").forEach(btn => {
+    btn.addEventListener("click", () => actions[Number(btn.dataset.banner)].onClick());
+  });
+
+  el.hidden = false;
+}
+
+function hideBanner(){
+  const el = $("appBanner");
+  if(el) el.hidden = true;
+}
+
 function pulseSaveButton(){
   const btn = $("btnSaveConsole");
   if(!btn) return;
@@ -201,204 +820,663 @@ function pulseSaveButton(){
 /* ---------------------------------------------------------
   04) RENDERING (UI)
 --------------------------------------------------------- */
+/** Last HTML written into each panel, so a redraw that changes nothing leaves its DOM alone. */
+const panelHtml = new WeakMap();
+
+function setPanelHtml(el, html){
+  if(panelHtml.get(el) === html) return;
+  panelHtml.set(el, html);
+  el.innerHTML = html;
+}
+
 function setTopStats(){
+  const filtered = logFilter.totals === "filtered";
+  const log = filtered ? filterLog(state.log, logFilter, state.settings.stepXP) : state.log;
+
   $("todayFocus").textContent = state.todayFocus || "—";
-  $("totalSessions").textContent = String(state.log.length || 0);
-  $("xpTotal").textContent = String(calcXP());
+  $("totalSessions").textContent = String(log.length || 0);
+  $("xpTotal").textContent = String(calcXP(log, state.settings.stepXP));
+  $("totalSessionsLabel").textContent = filtered ? "Sessions (filtered)" : "Total Sessions";
+  $("xpTotalLabel").textContent = filtered ? "XP (filtered)" : "XP";
+
+  const lvl = levelInfo(calcXP(state.log, state.settings.stepXP));
+  $("levelChip").textContent = `Lv ${lvl.level} • ${lvl.rank}`;
+  $("levelChip").title = `${lvl.xp} XP • ${lvl.next - lvl.xp} to level ${lvl.level + 1}`;
+
+  const streaks = calcStreaks(state.log);
+  $("dayStreak").textContent = `🔥 ${streaks.daily}d`;
+  $("dayStreak").title = `Best: ${streaks.bestDaily} days`;
+  $("weekStreak").textContent = `${streaks.weekly}w`;
+}
+
+const HEATMAP_WEEKS = 53;
+
+function renderHeatmap(){
+  const el = $("heatmap");
+  if(!el) return;
+
+  const days = buildDailyBuckets(state.log, state.settings.stepXP);
+  const today = new Date();
+  const start = addDays(weekStart(today), -7 * (HEATMAP_WEEKS - 1));
+  const maxXp = Math.max(1, ...[...days.values()].map(b => b.xp));
+
+  let totalSessions = 0;
+  let totalXp = 0;
+  const cells = [];
+
+  for(let d = start; d <= today; d = addDays(d, 1)){
+    const key = dayKey(d);
+    const b = days.get(key);
+    let level = 0;
+
+    if(b){
+      totalSessions += b.sessions;
+      totalXp += b.xp;
+      level = b.xp ? 1 + Math.min(3, Math.floor((b.xp / maxXp) * 4)) : 1;
+      level = Math.min(level, 4);
+    }
+
+    const label = `${formatDay(d)}: ${b ? b.sessions : 0} session${b && b.sessions === 1 ? "" : "s"} • ${b ? b.xp : 0} XP`;
+    cells.push(`<div class="heat-cell l${level}" title="${escapeHtml(label)}"></div>`);
+  }
+
+  setPanelHtml(el, cells.join(""));
+  $("heatmapSummary").textContent =
+    `${totalSessions} sessions • ${totalXp} XP in the last ${HEATMAP_WEEKS} weeks`;
+}
+
+/**
+ * Tiny inline SVG line chart for a list of scores (0–10 scale).
+ */
+function sparklineSvg(scores, { width = 96, height = 24, pad = 3, dots = false } = {}){
+  if(scores.length < 2) return "";
+
+  const step = (width - pad * 2) / (scores.length - 1);
+  const y = (v) => pad + (1 - clamp(v, 0, 10) / 10) * (height - pad * 2);
+  const pts = scores.map((v, i) => [pad + i * step, y(v)]);
+  const path = pts.map(([px, py], i) => `${i ? "L" : "M"}${px.toFixed(1)},${py.toFixed(1)}`).join(" ");
+
+  return `
+    <svg class="spark" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" aria-hidden="true">
+      <path d="${path}" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/>
+      ${dots ? pts.map(([px, py]) => `<circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="3" fill="currentColor"/>`).join("") : ""}
+    </svg>
+  `;
+}
+
+function renderProfileSwitcher(){
+  const sel = $("profileSel");
+  sel.innerHTML = profileRegistry.profiles
+    .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+    .join("");
+  sel.value = profileRegistry.activeId;
+}
+
+function renderLockButton(){
+  const btn = $("btnLock");
+  btn.textContent = storage.encrypted ? "🔒 Locked" : "Lock";
+  btn.classList.toggle("is-locked", !!storage.encrypted);
+}
+
+function renderSyncButton(){
+  const btn = $("btnSync");
+  const conflicts = syncConflictCount();
+  const failed = !remoteSyncRun && !!remoteSync.lastError;
+
+  btn.textContent = !remoteSync.endpoint ? "Sync"
+    : remoteSyncRun ? "Syncing…"
+    : conflicts ? `⚠️ ${conflicts} conflict${conflicts === 1 ? "" : "s"}`
+    : failed ? "⚠️ Sync failed"
+    : "☁️ Synced";
+  btn.title = remoteSync.endpoint ? syncStatusText() : "Sync this profile with your own server (optional)";
+  btn.classList.toggle("is-warn", !!conflicts || failed);
 }
 
 function renderSkills(){
   const grid = $("skillsGrid");
   grid.innerHTML = "";
 
-  for(const [name, score] of Object.entries(state.baselines)){
+  // Archived skills stay visible (their history matters) but sink to the bottom
+  const entries = Object.entries(state.baselines)
+    .sort(([a], [b]) => Number(!!state.skills[a]?.archived) - Number(!!state.skills[b]?.archived));
+
+  for(const [name, score] of entries){
+    const meta = state.skills[name] || {};
     const pct = scoreToPct(score);
+    const points = state.baselineHistory[name] || [];
+    const first = points[0];
+    const delta = first ? Number(score) - first.score : 0;
 
     const card = document.createElement("div");
-    card.className = "skill";
+    card.className = meta.archived ? "skill skill-archived" : "skill";
+    card.dataset.skill = name;
+    card.title = "Open history";
+    if(meta.color) card.style.setProperty("--skill-color", meta.color);
     card.innerHTML = `
       <div class="skill-top">
         <div>
-          <div class="skill-name">${escapeHtml(name)}</div>
+          <div class="skill-name">
+            ${escapeHtml(name)}
+            ${meta.archived ? `<span class="tag">archived</span>` : ""}
+          </div>
+          ${meta.description ? `<div class="skill-desc">${escapeHtml(meta.description)}</div>` : ""}
           <div class="skill-meta">${escapeHtml(state.notes[name] || "—")}</div>
         </div>
         <div class="skill-score">${formatScore(score)} / 10</div>
       </div>
-      <div class="bar"><span style="width:${pct}%"></span></div>
+      <div class="skill-trend">
+        <div class="bar"><span style="width:${pct}%"></span></div>
+        ${points.length > 1 ? `
+          ${sparklineSvg(points.map(p => p.score))}
+          <span class="skill-delta ${delta > 0 ? "up" : delta < 0 ? "down" : ""}">${formatDelta(delta)}</span>
+        ` : ""}
+      </div>
     `;
 
     grid.appendChild(card);
   }
 }
 
-/**
- * Convert one entry into a nice clipboard-friendly text block
- */
-function entryToClipboardText(e){
-  const cats = (e.categories || []).join(", ");
-  const earned = e.completed ? (Number(e.xpPotential) || 0) : 0;
-
-  const lines = [
-    `${e.title}`,
-    `${e.time}`,
-    `Rolled: ${cats}`,
-    `Completed: ${e.completed ? "Yes" : "No"}`,
-    `XP: ${earned} / ${Number(e.xpPotential) || 0}`,
-    e.mood ? `Mood: ${e.mood}` : "",
-    e.sleepHrs !== "" ? `Sleep: ${e.sleepHrs} hrs` : "",
-    e.difficulty ? `Difficulty: ${e.difficulty}` : "",
-    e.liked ? `Enjoyed: ${e.liked}` : "",
-    e.challengeText ? `\nChallenge:\n${e.challengeText}` : "",
-    e.answerText ? `\nAnswers / Notes:\n${e.answerText}` : "",
-    e.insightText ? `\nInsights:\n${e.insightText}` : ""
-  ].filter(Boolean);
-
-  return lines.join("\n");
+function barRowsHtml(rows, { max = 1, fmt = (v) => `${Math.round(v * 100)}%` } = {}){
+  if(!rows.some(r => r.n)) return `<div class="footnote">Not enough data yet.</div>`;
+
+  return rows.map(r => `
+    <div class="stat-row${r.n ? "" : " empty"}">
+      <span class="stat-label">${escapeHtml(r.label)}</span>
+      <div class="bar"><span style="width:${r.n ? clamp((r.value / max) * 100, 0, 100) : 0}%"></span></div>
+      <span class="stat-value">${r.n ? escapeHtml(fmt(r.value)) : "—"} <small>n=${r.n}</small></span>
+    </div>
+  `).join("");
 }
 
-function renderLog(){
-  const logEl = $("log");
-  logEl.innerHTML = "";
-
-  if(!state.log.length){
-    const empty = document.createElement("div");
-    empty.className = "entry";
-    empty.innerHTML = `
-      <div class="entry-top">
-        <div class="entry-title">No sessions yet</div>
-        <div class="entry-time">Start with 🎲 Daily Neural Roll</div>
+function moodChartHtml(weeks){
+  if(!weeks.some(w => w.total)) return `<div class="footnote">Log a mood with a few sessions to see this.</div>`;
+
+  const legend = MOODS.map((m, i) => `<span class="mood-key m${i}">${escapeHtml(m)}</span>`).join("");
+
+  return weeks.map(w => `
+    <div class="stat-row">
+      <span class="stat-label">${escapeHtml(w.label)}</span>
+      <div class="bar mood-bar" title="${escapeHtml(MOODS.map(m => `${m} ${w.counts[m] || 0}`).join("  "))}">
+        ${MOODS.map((m, i) => w.counts[m]
+          ? `<span class="m${i}" style="width:${(w.counts[m] / w.total) * 100}%"></span>`
+          : "").join("")}
       </div>
-      <div class="entry-body">This is where your challenges and scores will live.</div>
-    `;
-    logEl.appendChild(empty);
-    return;
-  }
+      <span class="stat-value"><small>n=${w.total}</small></span>
+    </div>
+  `).join("") + `<div class="mood-legend">${legend}</div>`;
+}
+
+function renderAnalytics(){
+  const el = $("analytics");
+  if(!el) return;
+
+  const log = state.log;
+  const diffFmt = (v) => `${v.toFixed(1)} ${DIFFICULTIES[Math.round(v) - 1] || ""}`;
+
+  setPanelHtml(el, `
+    <div class="stat-card">
+      <div class="stat-title">😴 Completion by sleep</div>
+      ${barRowsHtml(completionBySleep(log))}
+    </div>
+
+    <div class="stat-card">
+      <div class="stat-title">💗 Completion by enjoyment</div>
+      ${barRowsHtml(completionByEnjoyment(log))}
+    </div>
+
+    <div class="stat-card">
+      <div class="stat-title">🧗 Avg difficulty per skill</div>
+      ${barRowsHtml(difficultyByCategory(log), { max: DIFFICULTIES.length, fmt: diffFmt })}
+    </div>
+
+    <div class="stat-card">
+      <div class="stat-title">🎭 Mood by week</div>
+      ${moodChartHtml(moodByWeek(log))}
+    </div>
+  `);
+}
+
+function renderProgress(){
+  const el = $("progress");
+  if(!el) return;
+
+  const lvl = levelInfo(calcXP(state.log, state.settings.stepXP));
+  const perSkill = skillXP(state.log, state.settings.stepXP);
+  const skillRows = Object.keys(state.baselines)
+    .map(c => ({ label: c, value: perSkill[c]?.xp || 0, n: perSkill[c]?.sessions || 0 }))
+    .sort((a, b) => b.value - a.value);
+  const topXP = Math.max(1, ...skillRows.map(r => r.value));
+  const achievements = calcAchievements(state);
+  const unlockedCount = achievements.filter(a => a.at).length;
+
+  setPanelHtml(el, `
+    <div class="stat-card">
+      <div class="stat-title">🏅 Level ${lvl.level} • ${escapeHtml(lvl.rank)}</div>
+      <div class="bar"><span style="width:${clamp(lvl.progress * 100, 0, 100)}%"></span></div>
+      <div class="level-meta">
+        <span>${lvl.xp} XP</span>
+        <span>${lvl.next - lvl.xp} XP to level ${lvl.level + 1}</span>
+      </div>
+
+      <div class="stat-title" style="margin-top:16px;">🧬 XP per skill</div>
+      ${barRowsHtml(skillRows, { max: topXP, fmt: (v) => `${Math.round(v)} XP` })}
+    </div>
+
+    <div class="stat-card">
+      <div class="stat-title">🏆 Achievements • ${unlockedCount} / ${achievements.length}</div>
+      <div class="achievements">
+        ${achievements.map(a => `
+          <div class="achievement${a.at ? " unlocked" : ""}" title="${escapeHtml(a.desc)}">
+            <span class="achievement-icon">${a.icon}</span>
+            <div>
+              <div class="achievement-name">${escapeHtml(a.name)}</div>
+              <div class="achievement-meta">${a.at ? `Unlocked ${escapeHtml(formatDay(a.at))}` : escapeHtml(a.desc)}</div>
+            </div>
+          </div>
+        `).join("")}
+      </div>
+    </div>
+  `);
+}
+
+function packStepsHtml(e){
+  const pack = entryPackSteps(e);
+  return `
+    ${pack.intro ? `<div class="entry-text md">${renderMarkdown(pack.intro)}</div>` : ""}
+    ${pack.steps.map(s => `
+      <div class="pack-step${s.done ? " done" : ""}">
+        <label class="pack-step-head">
+          <input type="checkbox" data-action="toggleStep" data-id="${e.id}" data-step="${s.n}"${s.done ? " checked" : ""}>
+          <span>Step ${s.n}) ${mdInline(s.title)}</span>
+        </label>
+        ${s.body ? `<div class="entry-text md">${renderMarkdown(s.body)}</div>` : ""}
+        ${s.answer ? `<div class="entry-text md pack-answer">${renderMarkdown(s.answer)}</div>` : ""}
+      </div>
+    `).join("")}
+  `;
+}
+
+function renderLogToolbar(){
+  const f = logFilter;
+  const catSel = $("logCat");
+
+  // Rebuild category options (skills can change) but keep the selection
+  const cats = [...new Set([...Object.keys(state.baselines), ...state.log.flatMap(e => e.categories || [])])];
+  catSel.innerHTML = `<option value="">All skills</option>` +
+    cats.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join("");
+
+  $("logSearch").value = f.q;
+  catSel.value = f.cat;
+  $("logStatus").value = f.status;
+  $("logDiff").value = f.diff;
+  $("logMood").value = f.mood;
+  $("logFrom").value = f.from;
+  $("logTo").value = f.to;
+  $("logSort").value = f.sort;
+  $("logTotals").checked = f.totals === "filtered";
+}
 
-  for(const e of state.log){
-    const entry = document.createElement("div");
-    entry.className = "entry";
-    const cats = (e.categories || []);
-    const earned = e.completed ? (Number(e.xpPotential) || 0) : 0;
+/** Bulk-copy controls. Selection is UI-only: it's never saved and survives filtering. */
+function renderLogSelection(shown){
+  for(const id of selectedIds){
+    if(!state.log.some(e => e.id === id)) selectedIds.delete(id);
+  }
 
-    const metricTags = [
-      e.mood ? `<span class="tag tag-metric">Mood: ${escapeHtml(e.mood)}</span>` : "",
-      e.sleepHrs !== "" ? `<span class="tag tag-metric">Sleep: ${escapeHtml(e.sleepHrs)}h</span>` : "",
-      e.difficulty ? `<span class="tag tag-metric">Diff: ${escapeHtml(e.difficulty)}</span>` : "",
-      e.liked ? `<span class="tag tag-metric">Enjoyed: ${escapeHtml(e.liked)}</span>` : ""
-    ].filter(Boolean).join("");
+  const allShown = shown.length > 0 && shown.every(e => selectedIds.has(e.id));
+  $("btnSelectShown").textContent = allShown ? "Unselect shown" : "Select shown";
+  $("btnSelectShown").disabled = !shown.length;
+  $("btnCopySelected").textContent = `Copy selected (${selectedIds.size})`;
+  $("btnCopySelected").disabled = !selectedIds.size;
+}
 
-    entry.innerHTML = `
-      <div class="entry-top">
+/* --- Session Log ---
+   Years of sessions add up: only the first logLimit matching entries get DOM
+   (the next page loads when the end of the list scrolls into view), and each
+   entry's element is reused until something it shows changes, so ticking one
+   checkbox redraws one entry.
+*/
+const LOG_PAGE_SIZE = 30;
+
+let logLimit = LOG_PAGE_SIZE;
+let logFilterKey = "";
+let logEntryEls = new Map(); // entry id -> { el, key } for the entries on screen
+let logEntryContext = "";    // settings the entry markup depends on
+let logMoreEl = null;
+
+function logEntryElement(e){
+  const entry = document.createElement("div");
+  entry.className = "entry";
+  const cats = (e.categories || []);
+  const earned = entryEarnedXP(e, state.settings.stepXP);
+  const r = e.drillResult;
+
+  const metricTags = [
+    e.mood ? `<span class="tag tag-metric">Mood: ${escapeHtml(e.mood)}</span>` : "",
+    e.sleepHrs !== "" ? `<span class="tag tag-metric">Sleep: ${escapeHtml(e.sleepHrs)}h</span>` : "",
+    e.difficulty ? `<span class="tag tag-metric">Diff: ${escapeHtml(e.difficulty)}</span>` : "",
+    e.liked ? `<span class="tag tag-metric">Enjoyed: ${escapeHtml(e.liked)}</span>` : "",
+    r ? `<span class="tag tag-metric">🎯 ${r.correct}/${r.total} • ${formatMs(r.medianMs)}</span>` : "",
+    e.timeLimitMin ? `<span class="tag tag-metric">⏱ ${escapeHtml(e.timeLimitMin)} min</span>` : "",
+    e.steps?.length ? `<span class="tag tag-metric">🪜 ${stepProgress(e.steps)}</span>` : ""
+  ].filter(Boolean).join("");
+
+  entry.innerHTML = `
+    <div class="entry-top">
+      <label class="entry-head">
+        <input type="checkbox" data-action="select" data-id="${e.id}" title="Select for bulk copy"${selectedIds.has(e.id) ? " checked" : ""}>
         <div>
           <div class="entry-title">${escapeHtml(e.title)}</div>
-          <div class="entry-time">${escapeHtml(e.time)}</div>
+          <div class="entry-time">${escapeHtml(entryStamp(e))}</div>
         </div>
+      </label>
 
-        <div style="display:flex; gap:8px; align-items:center; flex-wrap:wrap;">
-          <label class="tag" style="cursor:pointer;">
-            <input
-              data-action="toggleComplete"
-              data-id="${e.id}"
-              type="checkbox"
-              ${e.completed ? "checked" : ""}
-              style="margin-right:8px;"
-            >
-            Complete
-          </label>
-
-          <button class="btn btn-ghost" data-action="copy" data-id="${e.id}">Copy</button>
-          <button class="btn btn-ghost" data-action="edit" data-id="${e.id}">Edit</button>
-          <button class="btn btn-ghost" data-action="delete" data-id="${e.id}">🗑️</button>
-        </div>
-      </div>
+      <div style="display:flex; gap:8px; align-items:center; flex-wrap:wrap;">
+        <label class="tag" style="cursor:pointer;">
+          <input
+            data-action="toggleComplete"
+            data-id="${e.id}"
+            type="checkbox"
+            ${e.completed ? "checked" : ""}
+            style="margin-right:8px;"
+          >
+          Complete
+        </label>
 
-      <div class="entry-body">
-        ${cats.length ? `Rolled: ${escapeHtml(cats.join(", "))}` : ""}
-
-        ${e.challengeText ? `
-          <div class="entry-section">
-            <div class="entry-label">🛰️ Challenge</div>
-            <div class="entry-text">${escapeHtml(e.challengeText)}</div>
-          </div>` : ""}
-
-        ${e.answerText ? `
-          <div class="entry-section">
-            <div class="entry-label">✍️ Answers / Notes</div>
-            <div class="entry-text">${escapeHtml(e.answerText)}</div>
-          </div>` : ""}
-
-        ${e.insightText ? `
-          <div class="entry-section">
-            <div class="entry-label">🔎 Insights</div>
-            <div class="entry-text">${escapeHtml(e.insightText)}</div>
-          </div>` : ""}
+        ${e.drill ? `<button class="btn btn-ghost" data-action="drill" data-id="${e.id}">▶ Drill</button>` : ""}
+        ${e.drill ? `<button class="btn btn-ghost" data-action="key" data-id="${e.id}">🔑 Key</button>` : ""}
+        <button class="btn btn-ghost" data-action="copy" data-id="${e.id}">Copy</button>
+        <button class="btn btn-ghost" data-action="console" data-id="${e.id}" title="Work on this entry in the Mission Console">🛰️</button>
+        <button class="btn btn-ghost" data-action="edit" data-id="${e.id}">Edit</button>
+        <button class="btn btn-ghost" data-action="delete" data-id="${e.id}">🗑️</button>
       </div>
+    </div>
+
+    <div class="entry-body">
+      ${cats.length ? `Rolled: ${escapeHtml(cats.join(", "))}` : ""}
+
+      ${e.steps?.length ? `
+        <div class="entry-section">
+          <div class="entry-label">🛰️ Challenge • ${stepProgress(e.steps)}</div>
+          ${packStepsHtml(e)}
+        </div>` : e.challengeText ? `
+        <div class="entry-section">
+          <div class="entry-label">🛰️ Challenge</div>
+          <div class="entry-text md">${renderMarkdown(e.challengeText)}</div>
+        </div>` : ""}
+
+      ${e.answerText ? `
+        <div class="entry-section">
+          <div class="entry-label">✍️ Answers / Notes</div>
+          <div class="entry-text md">${renderMarkdown(e.answerText)}</div>
+        </div>` : ""}
+
+      ${e.insightText ? `
+        <div class="entry-section">
+          <div class="entry-label">🔎 Insights</div>
+          <div class="entry-text md">${renderMarkdown(e.insightText)}</div>
+        </div>` : ""}
+    </div>
+
+    <div class="tagrow">
+      ${cats.map(c => `<span class="tag"${state.skills[c]?.color ? ` style="border-color:${state.skills[c].color}"` : ""}>#${escapeHtml(c)}</span>`).join("")}
+      ${metricTags}
+      <span class="tag">${"+" + earned} XP</span>
+    </div>
+  `;
+
+  return entry;
+}
 
-      <div class="tagrow">
-        ${cats.map(c => `<span class="tag">#${escapeHtml(c)}</span>`).join("")}
-        ${metricTags}
-        <span class="tag">${"+" + earned} XP</span>
+/** "Show more" row at the end of a partial list; also loads by itself when scrolled to. */
+function logMoreElement(left){
+  if(!logMoreEl){
+    logMoreEl = document.createElement("button");
+    logMoreEl.className = "btn btn-ghost log-more";
+    logMoreEl.dataset.action = "more";
+
+    if("IntersectionObserver" in window){
+      new IntersectionObserver((seen) => {
+        if(seen.some(s => s.isIntersecting)) showMoreLog();
+      }, { root: $("log"), rootMargin: "200px" }).observe(logMoreEl);
+    }
+  }
+
+  logMoreEl.textContent = `Show ${Math.min(left, LOG_PAGE_SIZE)} more (${left} not shown)`;
+  return logMoreEl;
+}
+
+function showMoreLog(){
+  logLimit += LOG_PAGE_SIZE;
+  renderLog();
+}
+
+function renderLog(){
+  const logEl = $("log");
+
+  const entries = filterLog(state.log, logFilter, state.settings.stepXP);
+  const active = isLogFilterActive(logFilter);
+
+  $("logSummary").textContent = active
+    ? `Showing ${entries.length} of ${state.log.length} • ${calcXP(entries, state.settings.stepXP)} XP`
+    : `${state.log.length} sessions • ${calcXP(state.log, state.settings.stepXP)} XP`;
+
+  renderLogSelection(entries);
+
+  // New filter or sort: back to the first page
+  const filterKey = JSON.stringify(logFilter);
+  if(filterKey !== logFilterKey){
+    logFilterKey = filterKey;
+    logLimit = LOG_PAGE_SIZE;
+    logEl.scrollTop = 0;
+  }
+
+  if(!entries.length){
+    logEntryEls.clear();
+    logEl.innerHTML = state.log.length ? `
+      <div class="entry">
+        <div class="entry-top">
+          <div class="entry-title">No sessions match</div>
+          <div class="entry-time">Try loosening the filters</div>
+        </div>
+      </div>
+    ` : `
+      <div class="entry">
+        <div class="entry-top">
+          <div class="entry-title">No sessions yet</div>
+          <div class="entry-time">Start with 🎲 Daily Neural Roll</div>
+        </div>
+        <div class="entry-body">This is where your challenges and scores will live.</div>
       </div>
     `;
+    return;
+  }
 
-    logEl.appendChild(entry);
+  // Skill colors and the step XP setting show up in every entry
+  const context = JSON.stringify([state.settings.stepXP, state.skills]);
+  if(context !== logEntryContext){
+    logEntryContext = context;
+    logEntryEls.clear();
   }
+
+  const shown = entries.slice(0, logLimit);
+  const next = new Map();
+  const els = shown.map(e => {
+    const key = `${selectedIds.has(e.id) ? 1 : 0}${JSON.stringify(e)}`;
+    const cached = logEntryEls.get(e.id);
+    const el = cached?.key === key ? cached.el : logEntryElement(e);
+    next.set(e.id, { el, key });
+    return el;
+  });
+  logEntryEls = next;
+  if(entries.length > shown.length) els.push(logMoreElement(entries.length - shown.length));
+
+  // Move only what's out of place; whatever is left over trails at the end
+  els.forEach((el, i) => {
+    if(logEl.children[i] !== el) logEl.insertBefore(el, logEl.children[i] || null);
+  });
+  while(logEl.children.length > els.length) logEl.lastElementChild.remove();
 }
 
 function renderRetestOptions(){
   const sel = $("retestSelect");
-  if(sel.options.length > 1) return;
+  const current = sel.value;
 
-  for(const c of Object.keys(state.baselines)){
+  // Rebuilt every render: skills can be added, renamed or archived
+  sel.innerHTML = `<option value="">Choose a category…</option>`;
+  for(const c of activeSkillNames(state)){
     const opt = document.createElement("option");
     opt.value = c;
     opt.textContent = c;
     sel.appendChild(opt);
   }
+
+  sel.value = activeSkillNames(state).includes(current) ? current : "";
 }
 
-function renderConsole(){
-  const sub = $("consoleSub");
+function modeSummary(m){
+  return [
+    `${m.count} skill${m.count === 1 ? "" : "s"}`,
+    m.fixed.length ? `always: ${m.fixed.join(", ")}` : "",
+    `${m.xp} XP`,
+    m.timeLimitMin ? `⏱ ${m.timeLimitMin} min` : ""
+  ].filter(Boolean).join(" • ");
+}
 
-  sub.textContent =
-    state.todayFocus && state.todayFocus !== "—"
-      ? `Loaded: ${state.todayFocus}`
-      : "No roll yet. Tap a mode above.";
-
-  if(state.log.length){
-    const latest = state.log[0];
-
-    // Keep console checkbox in sync
-    $("completeToggle").checked = !!latest.completed;
-
-    // Populate console fields from latest entry (so save/edit feels real)
-    $("challengeText").value = latest.challengeText || "";
-    $("answerText").value = latest.answerText || "";
-    const insightEl = $("insightText");
-    if(insightEl) insightEl.value = latest.insightText || "";
-
-    $("moodSel").value = latest.mood || "";
-    $("sleepHrs").value = latest.sleepHrs ?? "";
-    $("diffSel").value = latest.difficulty || "";
-    $("likeSel").value = latest.liked || "";
-  }else{
-    $("completeToggle").checked = false;
+function renderModes(){
+  $("modeControls").innerHTML = state.modes.map((m, i) => `
+    <button
+      class="btn ${i === 0 ? "btn-primary" : "btn-secondary"}"
+      data-mode="${escapeHtml(m.id)}"
+      title="${escapeHtml(modeSummary(m))}"
+    >${escapeHtml(m.icon)} ${escapeHtml(m.name)}</button>
+  `).join("") + `<button class="btn btn-ghost" data-mode-edit title="Edit training modes">⚙️</button>`;
+}
+
+function renderConsoleSteps(steps){
+  $("stepsBox").hidden = !steps;
+  $("stepXpToggle").checked = !!state.settings.stepXP;
+  if(!steps){
+    $("stepsList").innerHTML = "";
+    return;
+  }
+
+  $("stepsProgress").textContent = stepProgress(steps);
+  $("stepsList").innerHTML = steps.map(s => `
+    <div class="pack-step${s.done ? " done" : ""}" data-step="${s.n}">
+      <label class="pack-step-head">
+        <input type="checkbox"${s.done ? " checked" : ""}>
+        <span>Step ${s.n}) ${escapeHtml(s.title)}</span>
+      </label>
+      <textarea class="step-answer" placeholder="Answer for step ${s.n}…">${escapeHtml(s.answer)}</textarea>
+    </div>
+  `).join("");
+}
+
+function readConsoleSteps(){
+  return [...$("stepsList").querySelectorAll("[data-step]")].map(row => ({
+    n: Number(row.dataset.step),
+    answer: row.querySelector("textarea").value,
+    done: row.querySelector("input[type=checkbox]").checked
+  }));
+}
+
+function renderConsolePicker(entry){
+  const sel = $("consoleEntrySel");
+  const shown = state.log.slice(0, CONSOLE_PICKER_LIMIT);
+  if(entry && !shown.includes(entry)) shown.push(entry);
+
+  sel.innerHTML = `<option value="">Newest entry (follows new rolls)</option>` + shown.map(e => `
+    <option value="${escapeHtml(e.id)}">${drafts[e.id] ? "✎ " : ""}${escapeHtml(e.title)} • ${escapeHtml(entryStamp(e))}</option>
+  `).join("");
+  sel.value = entry && consoleTargetId === entry.id ? entry.id : "";
+  sel.disabled = !state.log.length;
+}
+
+function renderDraftStatus(){
+  const dirty = !!(consoleLoadedId && drafts[consoleLoadedId]);
+  $("draftStatus").hidden = !dirty;
+  $("btnDiscardDraft").hidden = !dirty;
+  if(dirty) setSaveStatus("");
+}
+
+function renderConsole(){
+  const sub = $("consoleSub");
+  const entry = consoleEntry();
+
+  sub.textContent =
+    entry && entry !== state.log[0]
+      ? `Loaded: ${entry.title} (${entryStamp(entry)})`
+      : state.todayFocus && state.todayFocus !== "—"
+        ? `Loaded: ${state.todayFocus}`
+        : "No roll yet. Tap a mode above.";
+
+  if(entry?.why) sub.textContent += `\nWhy: ${entry.why}`;
+
+  $("policySel").value = state.settings.selectionPolicy;
+  renderConsolePicker(entry);
+
+  if(entry){
+    // Refill only when switching entries or when there's no draft to protect
+    if(entry.id !== consoleLoadedId || !drafts[entry.id]){
+      fillConsole(drafts[entry.id] || consoleFieldsOf(entry));
+      consoleLoadedId = entry.id;
+    }
+  }else{
+    consoleLoadedId = null;
+    $("completeToggle").checked = false;
     setSaveStatus("");
+    renderConsoleSteps(null);
   }
+  renderDraftStatus();
+
+  if(consolePreview) setMarkdownPreview($("missionConsole"), true);
 }
 
 /**
- * Master render:
- * - updates UI
- * - persists to localStorage
+ * Master render: updates UI only.
+ * Mutations go through commit() so purely cosmetic redraws never hit storage.
  */
 function render(){
+  renderProfileSwitcher();
+  renderLockButton();
+  renderSyncButton();
   setTopStats();
+  renderModes();
   renderSkills();
+  renderHeatmap();
+  renderAnalytics();
+  renderProgress();
+  renderLogToolbar();
   renderLog();
   renderRetestOptions();
   renderConsole();
-  saveState();
+}
+
+/**
+ * Redraw what one entry's change can show up in: totals, charts, the log, and
+ * the console when it's bound to that entry. Charts that come out the same and
+ * unchanged log entries keep their DOM.
+ */
+function renderEntryChange(id){
+  setTopStats();
+  renderHeatmap();
+  renderAnalytics();
+  renderProgress();
+  renderLog();
+  if(consoleEntry()?.id === id) renderConsole();
+}
+
+/**
+ * Render + persist. Call after any state mutation; pass the entry id when the
+ * change touched only that entry (and today's focus), so only what shows it is
+ * redrawn and the save only serializes that entry.
+ */
+function commit(changedId = null){
+  if(changedId === null) render();
+  else renderEntryChange(changedId);
+  persist(changedId);
+  scheduleRemoteSync();
 }
 
 /* ---------------------------------------------------------
@@ -409,58 +1487,261 @@ const modalTitle = $("modalTitle");
 const modalBody = $("modalBody");
 const modalConfirm = $("modalConfirm");
 let modalOnConfirm = null;
+let modalOnClose = null;
 
-function openModal({ title, bodyHtml, confirmText = "Confirm", onConfirm }){
+function openModal({ title, bodyHtml, confirmText = "Confirm", onConfirm, onClose }){
   modalTitle.textContent = title;
   modalBody.innerHTML = bodyHtml;
+  modalBody.onclick = null;
+  modalBody.onchange = null;
+  modalBody.oninput = null;
+  modalBody.onkeydown = null;
   modalConfirm.textContent = confirmText;
+  modalConfirm.disabled = false;
   modalOnConfirm = onConfirm;
+  modalOnClose = onClose || null;
+
+  // Esc keeps the previous returnValue; clear it so it can't confirm by accident
+  modal.returnValue = "";
   modal.showModal();
 }
 
 modal.addEventListener("close", () => {
-  if(modal.returnValue === "default" && typeof modalOnConfirm === "function"){
-    modalOnConfirm();
-  }
+  const onConfirm = modalOnConfirm;
+  const onClose = modalOnClose;
   modalOnConfirm = null;
+  modalOnClose = null;
+
+  if(typeof onClose === "function") onClose();
+
+  if(modal.returnValue === "default" && typeof onConfirm === "function"){
+    onConfirm();
+  }
 });
 
 /* ---------------------------------------------------------
   06) CORE ACTIONS
 --------------------------------------------------------- */
-function addLogEntry({ title, categories, xpPotential }){
-  const entry = {
-    id: crypto.randomUUID(),
-    time: nowStamp(),
-    title,
-    categories,
-    xpPotential: Number(xpPotential || 0),
-    completed: false,
-
-    mood: "",
-    sleepHrs: "",
-    difficulty: "",
-    liked: "",
-    challengeText: "",
-    answerText: "",
-    insightText: "" // NEW
-  };
+/* --- Undo / redo ---
+   undoable() runs a destructive action through recordChange() (core.js, 05) and
+   keeps its undo/redo patches: only what that action touched, applied to the
+   current state, so undoing never drops later work. The newest steps that fit in
+   UNDO_PERSIST_BYTES are also written next to the profile's data (as a backup
+   record) so they survive a reload. */
+const UNDO_LIMIT = 30;
+const UNDO_PERSIST_BYTES = 256 * 1024;
+const UNDO_BACKUP_NAME = "undo_history";
+const TOAST_MS = 7000;
+// What a skill or baseline edit may rewrite
+const SKILL_KEYS = ["baselines", "notes", "skills", "baselineHistory"];
+
+let undoStack = [];
+let redoStack = [];
+let toastTimer = null;
 
-  state.log.unshift(entry);
-  render();
+/**
+ * Run `mutate(state)` as one undoable step; `scope` says what it may change
+ * (see recordChange()). Returns what `mutate` returned. The caller commits.
+ */
+function undoable(label, scope, mutate){
+  const { result, undo: undoPatch, redo: redoPatch } = recordChange(state, scope, mutate);
+  if(isEmptyPatch(undoPatch)) return result;
+
+  const step = { label, at: new Date().toISOString(), undo: undoPatch, redo: redoPatch };
+  step.bytes = JSON.stringify(step).length;
+  undoStack.push(step);
+  if(undoStack.length > UNDO_LIMIT) undoStack.shift();
+  redoStack = [];
+  persistUndo();
+
+  showToast(`${label}.`, { label: "Undo", onClick: undo });
+  return result;
 }
 
-function runSession(kind, count){
-  const categories = Object.keys(state.baselines);
-  const pick = pickRandom(categories, count);
-  state.todayFocus = pick.join(" • ");
+function restoreStep(from, to, verb){
+  const step = from.pop();
+  if(!step) return;
+
+  applyPatch(state, verb === "Undone" ? step.undo : step.redo);
+  to.push(step);
+  commit();
+  persistUndo();
+
+  showToast(
+    `${verb}: ${step.label}.`,
+    verb === "Undone"
+      ? { label: "Redo", onClick: redo }
+      : { label: "Undo", onClick: undo }
+  );
+}
+
+function undo(){
+  if(!undoStack.length) return showToast("Nothing to undo.");
+  restoreStep(undoStack, redoStack, "Undone");
+}
+
+function redo(){
+  if(!redoStack.length) return showToast("Nothing to redo.");
+  restoreStep(redoStack, undoStack, "Redone");
+}
+
+/** Newest steps of `steps` whose combined size stays within `budget` bytes. */
+function newestWithin(steps, budget){
+  let i = steps.length;
+  while(i > 0 && steps[i - 1].bytes <= budget) budget -= steps[--i].bytes;
+  return steps.slice(i);
+}
+
+function persistUndo(){
+  // One huge step (say, a cleared log) just isn't kept across reloads
+  const undoKept = newestWithin(undoStack, UNDO_PERSIST_BYTES);
+  const redoKept = newestWithin(redoStack, UNDO_PERSIST_BYTES - undoKept.reduce((n, s) => n + s.bytes, 0));
+  const raw = JSON.stringify({ undo: undoKept, redo: redoKept });
+  // Best effort: losing undo history must never block or fail a real save
+  storage.putBackup(UNDO_BACKUP_NAME, raw).catch(() => {});
+}
+
+async function loadUndo(){
+  undoStack = [];
+  redoStack = [];
+
+  try{
+    const saved = JSON.parse((await storage.getBackup(UNDO_BACKUP_NAME)) || "null");
+    // Steps from older builds hold whole-state snapshots; those can't be applied any more
+    const usable = (list) => Array.isArray(list) ? list.filter(s => s?.undo && s?.redo && s.bytes > 0) : [];
+    undoStack = usable(saved?.undo);
+    redoStack = usable(saved?.redo);
+  }catch{
+    // Unreadable history just starts empty
+  }
+}
+
+function showToast(text, action = null){
+  const el = $("toast");
+  window.clearTimeout(toastTimer);
+
+  el.innerHTML = `
+    <span>${escapeHtml(text)}</span>
+    ${action ? `<button type="button" class="btn btn-ghost" id="toastAction">${escapeHtml(action.label)}</button>` : ""}
+  `;
+  if(action){
+    $("toastAction").addEventListener("click", () => {
+      hideToast();
+      action.onClick();
+    });
+  }
+
+  el.hidden = false;
+  toastTimer = window.setTimeout(hideToast, TOAST_MS);
+}
+
+function hideToast(){
+  window.clearTimeout(toastTimer);
+  $("toast").hidden = true;
+}
+
+function handleUndoKeys(ev){
+  if(!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+
+  // Text fields keep their native undo; so does an open dialog
+  const t = ev.target;
+  if(t instanceof HTMLElement && (t.closest("input, textarea, select") || t.isContentEditable)) return;
+  if(modal.open) return;
+
+  const key = ev.key.toLowerCase();
+  if(key === "z" && !ev.shiftKey){
+    ev.preventDefault();
+    undo();
+  }else if((key === "z" && ev.shiftKey) || key === "y"){
+    ev.preventDefault();
+    redo();
+  }
+}
+
+function runSession(mode){
+  rollSession(state, mode);
+  commit();
+}
+
+function modeRowHtml(m, key){
+  const skills = Object.keys(state.baselines);
+  return `
+    <tr data-mode-row="${escapeHtml(key)}">
+      <td><input class="miniInput" data-field="icon" value="${escapeHtml(m.icon)}" style="width:3.5em;"></td>
+      <td><input class="miniInput" data-field="name" value="${escapeHtml(m.name)}" placeholder="${key === "new" ? "New mode name" : ""}"></td>
+      <td><input class="miniInput" data-field="count" type="number" min="1" max="20" value="${m.count}" style="width:4.5em;"></td>
+      <td>
+        <select class="select" data-field="fixed" multiple size="3">
+          ${skills.map(c => `<option value="${escapeHtml(c)}"${m.fixed.includes(c) ? " selected" : ""}>${escapeHtml(c)}</option>`).join("")}
+        </select>
+      </td>
+      <td><input class="miniInput" data-field="xp" type="number" min="0" value="${m.xp}" style="width:4.5em;"></td>
+      <td><input class="miniInput" data-field="timeLimitMin" type="number" min="0" value="${m.timeLimitMin || ""}" placeholder="—" style="width:4.5em;"></td>
+      <td>${key === "new" ? "" : `<input type="checkbox" data-field="remove" title="Remove this mode">`}</td>
+    </tr>
+  `;
+}
+
+function manageModes(){
+  const blank = { icon: "🎯", name: "", count: 2, fixed: [], xp: 15, timeLimitMin: 0 };
+
+  openModal({
+    title: "⚙️ Training Modes",
+    confirmText: "Save",
+    bodyHtml: `
+      <p>Each mode becomes a button. Always-included skills count toward the total; the rest are rolled with the current policy. Past log entries keep the title and XP they were created with.</p>
+
+      <table class="modal-table mode-table">
+        <thead><tr><th>Icon</th><th>Name</th><th>Skills</th><th>Always include</th><th>XP</th><th>Limit (min)</th><th>Remove</th></tr></thead>
+        <tbody>
+          ${state.modes.map(m => modeRowHtml(m, m.id)).join("")}
+          ${modeRowHtml(blank, "new")}
+        </tbody>
+      </table>
+    `,
+    onConfirm: () => {
+      const next = [];
+
+      for(const row of modalBody.querySelectorAll("[data-mode-row]")){
+        const key = row.dataset.modeRow;
+        const field = (f) => row.querySelector(`[data-field="${f}"]`);
+        const name = field("name").value.trim();
 
-  const xpPotential =
-    kind === "Daily Neural Roll" ? 10 :
-    kind === "Tri-Skill Sprint" ? 18 :
-    25;
+        if(key === "new" && !name) continue;
+        if(field("remove")?.checked) continue;
 
-  addLogEntry({ title: kind, categories: pick, xpPotential });
+        if(!name){
+          alert("Every mode needs a name.");
+          return;
+        }
+
+        const fixed = [...field("fixed").selectedOptions].map(o => o.value);
+        const count = Math.round(Number(field("count").value));
+        if(!(count >= 1) || count < fixed.length){
+          alert(`"${name}": skills must be at least 1 and at least the number of always-included skills.`);
+          return;
+        }
+
+        next.push({
+          id: key === "new" ? "" : key,
+          name,
+          icon: field("icon").value,
+          count,
+          fixed,
+          xp: field("xp").value,
+          timeLimitMin: field("timeLimitMin").value
+        });
+      }
+
+      if(!next.length){
+        alert("Keep at least one mode.");
+        return;
+      }
+
+      undoable("Edited training modes", { keys: ["modes"] }, st => setModes(st, next));
+      commit();
+    }
+  });
 }
 
 function quickRetest(category){
@@ -493,23 +1774,129 @@ function quickRetest(category){
       const overwrite = document.getElementById("overwrite").checked;
       if(Number.isNaN(val)) return;
 
-      const score = clamp(val, 0, 10);
-      const old = Number(state.baselines[category]);
+      recordRetest(state, category, val, overwrite);
+      commit();
+    }
+  });
+}
+
+function openSkillHistory(skill){
+  const points = state.baselineHistory[skill] || [];
+  const first = points[0];
+
+  const rows = points.map((p, i) => {
+    const prev = i ? points[i - 1].score : p.score;
+    return `
+      <tr>
+        <td>${escapeHtml(formatDay(p.at))}</td>
+        <td>${formatScore(p.score)}</td>
+        <td>${escapeHtml(p.source)}</td>
+        <td>${i ? formatDelta(p.score - prev) : "—"}</td>
+        <td>${formatDelta(p.score - first.score)}</td>
+      </tr>`;
+  }).reverse().join("");
+
+  openModal({
+    title: `📈 History: ${skill}`,
+    confirmText: "Close",
+    bodyHtml: points.length ? `
+      <p>
+        ${points.length} measurement${points.length === 1 ? "" : "s"} since ${escapeHtml(formatDay(first.at))}.
+        Now ${formatScore(state.baselines[skill] ?? points[points.length - 1].score)} / 10
+        (${formatDelta(points[points.length - 1].score - first.score)} since first).
+      </p>
+
+      <div class="history-chart">
+        ${points.length > 1 ? sparklineSvg(points.map(p => p.score), { width: 640, height: 160, pad: 10, dots: true }) : ""}
+      </div>
 
-      if(overwrite) state.baselines[category] = score;
+      <table class="modal-table">
+        <thead><tr><th>Date</th><th>Score</th><th>Source</th><th>Δ prev</th><th>Δ first</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    ` : `<p>No history recorded for this skill yet.</p>`
+  });
+}
+
+function skillColorOptions(selected){
+  return Object.entries(SKILL_COLORS)
+    .map(([val, label]) => `<option value="${val}"${val === (selected || "") ? " selected" : ""}>${label}</option>`)
+    .join("");
+}
 
-      addLogEntry({
-        title: "Re-test",
-        categories: [category],
-        xpPotential: 6
+function manageSkills(){
+  const names = Object.keys(state.baselines);
+
+  openModal({
+    title: "🧩 Manage Skills",
+    confirmText: "Save",
+    bodyHtml: `
+      <p>Rename (updates every log entry), describe, color or archive skills. Archived skills keep their history but are never rolled.</p>
+
+      <table class="modal-table skill-table">
+        <thead><tr><th>Name</th><th>Description</th><th>Color</th><th>Archived</th></tr></thead>
+        <tbody>
+          ${names.map((name, i) => {
+            const meta = state.skills[name] || {};
+            return `
+              <tr data-row="${i}">
+                <td><input class="miniInput" data-field="name" value="${escapeHtml(name)}"></td>
+                <td><input class="miniInput" data-field="description" value="${escapeHtml(meta.description || "")}" placeholder="What this trains"></td>
+                <td><select class="select" data-field="color">${skillColorOptions(meta.color)}</select></td>
+                <td><input type="checkbox" data-field="archived"${meta.archived ? " checked" : ""}></td>
+              </tr>`;
+          }).join("")}
+        </tbody>
+      </table>
+
+      <div class="modal-subtitle">Add a skill</div>
+      <div class="skill-new">
+        <input class="miniInput" id="newSkillName" placeholder="Name (e.g. Mental Rotation)">
+        <input class="miniInput" id="newSkillScore" type="number" min="0" max="10" step="0.5" placeholder="Baseline 0–10">
+        <input class="miniInput" id="newSkillDesc" placeholder="Description (optional)">
+        <select class="select" id="newSkillColor">${skillColorOptions("")}</select>
+      </div>
+    `,
+    onConfirm: () => {
+      const rows = names.map((orig, i) => {
+        const row = modalBody.querySelector(`[data-row="${i}"]`);
+        const field = (f) => row.querySelector(`[data-field="${f}"]`);
+        return {
+          orig,
+          name: field("name").value.trim(),
+          description: field("description").value.trim(),
+          color: field("color").value,
+          archived: field("archived").checked
+        };
       });
 
-      state.log[0].answerText =
-        `Re-test score: ${formatScore(score)} / 10 (was ${formatScore(old)}). ` +
-        (overwrite ? "Baseline updated." : "Baseline unchanged.");
-      state.log[0].completed = true;
+      const newName = $("newSkillName").value.trim();
+      const added = newName ? {
+        name: newName,
+        score: $("newSkillScore").value,
+        description: $("newSkillDesc").value.trim(),
+        color: $("newSkillColor").value
+      } : null;
+
+      const errors = validateSkillEdits(rows, added);
+      if(errors.length){
+        alert(errors[0]);
+        return;
+      }
 
-      render();
+      // Renames reach every log entry, mode and today's focus
+      const renaming = rows.some(r => r.name !== r.orig);
+      const renames = undoable(
+        "Edited skills",
+        renaming ? { ids: "all", keys: [...SKILL_KEYS, "modes", "todayFocus"] } : { keys: SKILL_KEYS },
+        st => updateSkills(st, rows, added)
+      );
+
+      for(const r of renames){
+        if(logFilter.cat === r.from) setLogFilter({ ...logFilter, cat: r.to });
+      }
+
+      commit();
     }
   });
 }
@@ -521,23 +1908,17 @@ function editBaselines(){
     title: "📌 Edit Baselines (JSON)",
     confirmText: "Apply",
     bodyHtml: `
-      <p>Edit baselines (0–10). Keep valid JSON.</p>
+      <p>Edit baselines (0–10). Keep valid JSON. Removing a key deletes that skill (its log history stays); use Manage Skills to rename or archive.</p>
       <textarea id="baselineEditor">${escapeHtml(json)}</textarea>
     `,
     onConfirm: () => {
       const txt = document.getElementById("baselineEditor").value;
 
       try{
-        const obj = JSON.parse(txt);
-
-        for(const [k, v] of Object.entries(obj)){
-          const num = Number(v);
-          if(Number.isNaN(num)) throw new Error("Non-number score found.");
-          obj[k] = clamp(num, 0, 10);
-        }
+        const scores = parseBaselineScores(JSON.parse(txt));
 
-        state.baselines = obj;
-        render();
+        undoable("Edited baselines", { keys: SKILL_KEYS }, st => setBaselines(st, scores));
+        commit();
       }catch(e){
         alert("Could not parse JSON: " + String(e.message || e));
       }
@@ -545,19 +1926,677 @@ function editBaselines(){
   });
 }
 
-function exportData(){
-  const data = JSON.stringify(state, null, 2);
-  const blob = new Blob([data], { type: "application/json" });
+function downloadText(fileName, text, type = "application/json"){
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
 
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = "neuroforge-data.json";
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+function exportFileName(){
+  const profile = activeProfile();
+  return profile && profile.id !== DEFAULT_PROFILE_ID ? profileFileName(profile) : "neuroforge-data.json";
+}
+
+function exportData(){
+  downloadText(exportFileName(), JSON.stringify(snapshotState(), null, 2));
+}
+
+/** JSON backup sealed with its own passphrase (core.js, 09); Import asks for it. */
+async function exportEncrypted(){
+  const passphrase = await askNewPassphrase(
+    "🔐 Encrypted backup",
+    "Pick a passphrase for this file. <b>Without it the backup can't be restored</b> — there is no recovery.",
+    "Encrypt + download"
+  );
+  if(!passphrase) return;
+
+  const envelope = await encryptText(JSON.stringify(snapshotState()), passphrase);
+  downloadText(exportFileName().replace(/\.json$/, ".encrypted.json"), JSON.stringify(envelope, null, 2));
+}
+
+function exportSelection(sel){
+  return filterLog(state.log, {
+    ...EMPTY_LOG_FILTER,
+    cat: sel.cat,
+    from: sel.from,
+    to: sel.to,
+    status: sel.completedOnly ? "done" : "",
+    sort: "oldest"
+  });
+}
+
+function exportMenu(){
+  // Session filters start from whatever the Session Log is showing
+  const cats = Object.keys(state.baselines);
+
+  openModal({
+    title: "⬇️ Export",
+    confirmText: "Download",
+    bodyHtml: `
+      <label class="check"><input type="radio" name="exportFormat" value="json" checked> JSON backup (everything, re-importable)</label>
+      <label class="check"><input type="radio" name="exportFormat" value="encrypted"> Encrypted JSON backup (passphrase-protected)</label>
+      <label class="check"><input type="radio" name="exportFormat" value="csv"> CSV (one row per session, for spreadsheets)</label>
+      <label class="check"><input type="radio" name="exportFormat" value="md"> Markdown journal (readable archive)</label>
+
+      <div class="modal-subtitle">Sessions (CSV + Markdown)</div>
+      <div class="export-grid">
+        <label class="log-date">From <input id="exFrom" class="miniInput" type="date" value="${escapeHtml(logFilter.from)}"></label>
+        <label class="log-date">To <input id="exTo" class="miniInput" type="date" value="${escapeHtml(logFilter.to)}"></label>
+        <select id="exCat" class="select">
+          <option value="">All skills</option>
+          ${cats.map(c => `<option value="${escapeHtml(c)}"${c === logFilter.cat ? " selected" : ""}>${escapeHtml(c)}</option>`).join("")}
+        </select>
+        <label class="check"><input id="exDone" type="checkbox"${logFilter.status === "done" ? " checked" : ""}> Completed only</label>
+      </div>
+      <p class="footnote" id="exCount"></p>
+    `,
+    onConfirm: () => {
+      const format = modalBody.querySelector("[name=exportFormat]:checked").value;
+      if(format === "json"){
+        exportData();
+        return;
+      }
+      if(format === "encrypted"){
+        exportEncrypted().catch(e => alert("Could not create the encrypted backup: " + String(e.message || e)));
+        return;
+      }
+
+      const sel = readExportSelection();
+      const entries = exportSelection(sel);
+      const base = activeProfile().id === DEFAULT_PROFILE_ID ? "neuroforge" : profileFileName(activeProfile()).replace(/\.json$/, "");
+      const range = sel.from || sel.to ? `-${sel.from || "start"}_${sel.to || "today"}` : "";
+
+      if(format === "csv") downloadText(`${base}-log${range}.csv`, logToCsv(entries, state.settings.stepXP), "text/csv;charset=utf-8");
+      else downloadText(`${base}-journal${range}.md`, logToMarkdown(entries, sel, activeProfile().name, state.settings.stepXP), "text/markdown;charset=utf-8");
+    }
+  });
+
+  const update = () => {
+    const json = ["json", "encrypted"].includes(modalBody.querySelector("[name=exportFormat]:checked").value);
+    const n = exportSelection(readExportSelection()).length;
+    $("exCount").textContent = json ? "JSON always includes everything." : `${n} of ${state.log.length} sessions selected.`;
+  };
+  modalBody.onchange = update;
+  modalBody.oninput = update;
+  update();
+}
+
+function readExportSelection(){
+  return {
+    from: $("exFrom").value,
+    to: $("exTo").value,
+    cat: $("exCat").value,
+    completedOnly: $("exDone").checked
+  };
+}
+
+function conflictTableHtml(title, rows, fmt){
+  if(!rows.length) return "";
+
+  return `
+    <div class="modal-subtitle">${escapeHtml(title)} (${rows.length})</div>
+    <table class="modal-table">
+      <thead><tr><th>Key</th><th>Current</th><th>Imported</th></tr></thead>
+      <tbody>
+        ${rows.map(r => `
+          <tr>
+            <td>${escapeHtml(r.key)}</td>
+            <td>${escapeHtml(fmt(r.current))}</td>
+            <td>${escapeHtml(fmt(r.incoming))}</td>
+          </tr>`).join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function previewImport(parsed, fileName){
+  const incoming = normalizeState(parsed);
+  const rawLog = Array.isArray(parsed.log) ? parsed.log : [];
+
+  const knownIds = new Set(state.log.map(e => e.id));
+  const newCount = incoming.log.filter(e => !knownIds.has(e.id)).length;
+  const dupCount = incoming.log.length - newCount;
+
+  const baselineRows = diffMaps(state.baselines, parsed.baselines);
+  const noteRows = diffMaps(state.notes, parsed.notes);
+
+  openModal({
+    title: "📥 Import backup",
+    confirmText: "Import",
+    bodyHtml: `
+      <p>
+        <b>${escapeHtml(fileName)}</b>: ${rawLog.length} log entries
+        (${newCount} new, ${dupCount} already here).
+      </p>
+
+      <label style="display:flex;gap:10px;align-items:center;margin:10px 0;color:#c7c2ffcc;font-family:var(--mono);font-size:12px;">
+        <input type="radio" name="importMode" id="importMerge" checked>
+        Merge — keep my data, add new log entries (deduped by id)
+      </label>
+
+      <label style="display:flex;gap:10px;align-items:center;margin:10px 0;color:#c7c2ffcc;font-family:var(--mono);font-size:12px;">
+        <input type="radio" name="importMode" id="importReplace">
+        Replace everything with this file
+      </label>
+
+      ${baselineRows.length || noteRows.length ? `
+        ${conflictTableHtml("Baseline conflicts", baselineRows, formatScore)}
+        ${conflictTableHtml("Note conflicts", noteRows, String)}
+
+        <label style="display:flex;gap:10px;align-items:center;margin-top:12px;color:#c7c2ffcc;font-family:var(--mono);font-size:12px;">
+          <input id="importPreferIncoming" type="checkbox">
+          On merge, take imported values for conflicts
+        </label>
+      ` : `<p style="font-size:12px;font-family:var(--mono);">No baseline or note conflicts.</p>`}
+    `,
+    onConfirm: () => {
+      const replace = document.getElementById("importReplace").checked;
+      const preferEl = document.getElementById("importPreferIncoming");
+
+      undoable(
+        replace ? "Replaced data from import" : "Merged import",
+        { ids: "all", keys: STATE_KEYS },
+        st => replaceState(st, replace ? incoming : mergeStates(st, parsed, !!(preferEl && preferEl.checked)))
+      );
+
+      commit();
+    }
+  });
+}
+
+function importData(file){
+  if(!file) return;
+
+  file.text().then(text => {
+    let parsed;
+    try{
+      parsed = JSON.parse(text);
+    }catch(e){
+      alert("Not valid JSON: " + String(e.message || e));
+      return;
+    }
+
+    if(isEncryptedBlob(parsed)){
+      importEncrypted(parsed, file.name).catch(e => alert("Could not import this backup: " + String(e.message || e)));
+    }else{
+      reviewImport(parsed, file.name);
+    }
+  }, () => alert("Could not read that file."));
+}
+
+function reviewImport(parsed, fileName){
+  const errors = validateStateShape(parsed);
+  if(errors.length){
+    const more = errors.length > 8 ? `\n…and ${errors.length - 8} more` : "";
+    alert("This file doesn't look like a NeuroForge backup:\n- " + errors.slice(0, 8).join("\n- ") + more);
+    return;
+  }
+
+  try{
+    previewImport(parsed, fileName);
+  }catch(e){
+    alert("Could not migrate this backup: " + String(e.message || e));
+  }
+}
+
+/**
+ * Ask for the file's passphrase until it decrypts (or the user gives up), then
+ * hand the backup to `then` (the usual import review by default).
+ * Returns false when cancelled or undecryptable.
+ */
+async function importEncrypted(envelope, fileName, then = reviewImport){
+  let error = "";
+  for(;;){
+    const answer = await askPassphrase({
+      title: "🔐 Encrypted backup",
+      intro: `<b>${escapeHtml(fileName)}</b> is encrypted. Enter the passphrase it was exported with.`,
+      confirmText: "Decrypt",
+      error
+    });
+    if(!answer) return false;
+
+    let text;
+    try{
+      text = await decryptText(envelope, answer.passphrase);
+    }catch(e){
+      if(e.name === "WrongPassphraseError"){
+        error = "Wrong passphrase (or the file was changed after it was exported). Try again.";
+        continue;
+      }
+      alert("Could not decrypt this backup: " + String(e.message || e));
+      return false;
+    }
+
+    await then(JSON.parse(text), fileName);
+    return true;
+  }
+}
+
+/* --- Passphrases (encrypted backups + lock) --- */
+
+/**
+ * Passphrase prompt as a promise: { passphrase, repeated } or null when cancelled.
+ * `repeat` adds a second field (new passphrases); `error` says why we ask again.
+ */
+function askPassphrase({ title, intro, confirmText = "Unlock", repeat = false, error = "" }){
+  return new Promise(resolve => {
+    let answer = null;
+
+    openModal({
+      title,
+      confirmText,
+      bodyHtml: `
+        <p>${intro}</p>
+        ${error ? `<p class="passphrase-error" role="alert">${escapeHtml(error)}</p>` : ""}
+        <input class="miniInput passphrase" id="passphrase" type="password" autocomplete="${repeat ? "new-password" : "current-password"}" placeholder="Passphrase">
+        ${repeat ? `<input class="miniInput passphrase" id="passphraseRepeat" type="password" autocomplete="new-password" placeholder="Repeat passphrase">` : ""}
+      `,
+      onConfirm: () => {
+        answer = { passphrase: $("passphrase").value, repeated: repeat ? $("passphraseRepeat").value : null };
+      },
+      // The close handler runs onClose before onConfirm; settle after both
+      onClose: () => queueMicrotask(() => resolve(answer))
+    });
+
+    // Enter confirms (the form's first button is the ✕, which would cancel)
+    modalBody.onkeydown = (ev) => {
+      if(ev.key !== "Enter") return;
+      ev.preventDefault();
+      modal.close("default");
+    };
+    $("passphrase").focus();
+  });
+}
+
+/** New passphrase, typed twice; null when cancelled. */
+async function askNewPassphrase(title, intro, confirmText){
+  let error = "";
+  for(;;){
+    const answer = await askPassphrase({ title, intro, confirmText, repeat: true, error });
+    if(!answer) return null;
+
+    if(answer.passphrase.length < PASSPHRASE_MIN_LENGTH) error = `Use at least ${PASSPHRASE_MIN_LENGTH} characters.`;
+    else if(answer.passphrase !== answer.repeated) error = "The two passphrases don't match.";
+    else return answer.passphrase;
+  }
+}
+
+function manageLock(){
+  if(storageBlocked){
+    showToast("The saved data couldn't be loaded, so the lock can't change right now.");
+    return;
+  }
+
+  const name = escapeHtml(activeProfile().name);
+
+  if(!storage.encrypted){
+    askNewPassphrase(
+      "🔒 Lock this profile",
+      `Keep “${name}” encrypted on this device and ask for the passphrase whenever it opens.
+      <b>If you forget the passphrase, the data can't be recovered</b> — export a backup first.`,
+      "Lock"
+    ).then(async (passphrase) => {
+      if(!passphrase || !await setLock(passphrase)) return;
+      showToast("Locked 🔒 The passphrase is asked for on every visit.");
+    });
+    return;
+  }
+
+  openModal({
+    title: "🔒 Lock",
+    confirmText: "Apply",
+    bodyHtml: `
+      <p>“${name}” is stored encrypted. This tab keeps it unlocked until it's closed or reloaded.</p>
+      <label class="check"><input type="radio" name="lockAction" value="now" checked> Lock now (reload and ask for the passphrase)</label>
+      <label class="check"><input type="radio" name="lockAction" value="change"> Change the passphrase</label>
+      <label class="check"><input type="radio" name="lockAction" value="remove"> Remove the lock (store unencrypted)</label>
+    `,
+    onConfirm: async () => {
+      const action = modalBody.querySelector("[name=lockAction]:checked").value;
+
+      if(action === "now"){
+        if(draftTimer) persistDrafts();
+        await flushSaves();
+        location.reload();
+      }else if(action === "remove"){
+        if(!await setLock(null)) return;
+        showToast("Lock removed 🔓");
+      }else{
+        const passphrase = await askNewPassphrase("🔒 New passphrase", `Enter a new passphrase for “${name}”.`, "Change");
+        if(!passphrase || !await setLock(passphrase)) return;
+        showToast("Passphrase changed 🔒");
+      }
+    }
+  });
+}
+
+function showStorageBlocked(){
+  const { raw, error } = storageBlocked;
+
+  showBanner({
+    kind: "error",
+    html: `
+      <b>⚠️ Your saved data couldn't be loaded.</b>
+      ${escapeHtml(String(error.message || error))}<br>
+      Nothing was changed or overwritten — this is a temporary session and won't be saved.
+    `,
+    actions: [
+      { label: "Download raw data", onClick: () => downloadText("neuroforge-raw-backup.json", raw || "") },
+      { label: "Retry", onClick: () => location.reload() },
+      {
+        label: "Start fresh",
+        onClick: () => openModal({
+          title: "Start fresh?",
+          confirmText: "Start fresh",
+          bodyHtml: `
+            <p>The unreadable data is kept under a backup key in this browser and can still be downloaded later.</p>
+            <p>New sessions will be saved normally from now on.</p>
+          `,
+          onConfirm: async () => {
+            try{
+              if(raw) await storage.putBackup(`unreadable_${Date.now()}`, raw);
+            }catch(e){
+              alert("Could not keep a backup copy, so nothing was changed: " + String(e.message || e));
+              return;
+            }
+            storageBlocked = null;
+            hideBanner();
+            commit();
+          }
+        })
+      }
+    ]
+  });
+}
+
+function showMigrationNotice(){
+  const { from, to, key } = migrationNotice;
+
+  showBanner({
+    kind: "info",
+    html: `Upgraded your data from schema v${from} → v${to}. A snapshot of the old data was kept.`,
+    actions: [
+      {
+        label: "Download snapshot",
+        onClick: async () => downloadText(`neuroforge-premigration-v${from}.json`, (await storage.getBackup(key)) || "")
+      },
+      { label: "Dismiss", onClick: hideBanner }
+    ]
+  });
+}
+
+function showStorageFallback(){
+  showBanner({
+    kind: "warn",
+    html: `
+      <b>IndexedDB isn't available here</b> (${escapeHtml(String(storageFallback.message || storageFallback))}),
+      so this profile is kept in localStorage, which holds only about 5 MB. Export backups regularly.
+    `,
+    actions: [
+      { label: "Export backup", primary: true, onClick: exportData },
+      { label: "Dismiss", onClick: hideBanner }
+    ]
+  });
+}
+
+/* --- Profiles --- */
+
+/** Run any pending save now and wait for the write queue to drain. */
+async function flushSaves(){
+  if(saveTimer){
+    window.clearTimeout(saveTimer);
+    saveTimer = null;
+    queueSave(() => saveState());
+  }
+  await saveChain;
+}
+
+async function switchProfile(id){
+  if(id === profileRegistry.activeId || !profileRegistry.profiles.some(p => p.id === id)) return;
+
+  if(draftTimer) persistDrafts();
+  await flushSaves();
+  storage.close();
+
+  profileRegistry.activeId = id;
+  saveProfiles();
+  await reopenActiveProfile();
+}
+
+/** (Re)load everything for profileRegistry.activeId; the old backend is already closed. */
+async function reopenActiveProfile(){
+  storageBlocked = null;
+  migrationNotice = null;
+  storageFallback = null;
+  saveFailed = false;
+  hideBanner();
+
+  storage = await openActiveStorage();
+  state = await loadState();
+  markSynced();
+  trackEdits();
+  await loadUndo();
+  await loadDrafts();
+  await loadRemoteSync();
+  hideToast();
+  commit();
+
+  if(storageBlocked) showStorageBlocked();
+  else if(migrationNotice) showMigrationNotice();
+  else if(storageFallback) showStorageFallback();
+}
+
+async function profileIsLocked(id){
+  const other = await openStorage(id);
+  try{
+    return !!(await readLockedEnvelope(other));
+  }finally{
+    other.close();
+  }
+}
+
+/** Full, migrated state of any profile (the active one comes from memory). */
+async function readProfileState(id){
+  if(id === profileRegistry.activeId) return structuredCloneSafe(snapshotState());
+
+  const other = await openStorage(id);
+  try{
+    const raw = await other.loadRaw();
+    return raw ? normalizeState(JSON.parse(raw)) : normalizeState({});
+  }finally{
+    other.close();
+  }
+}
+
+/** Write `st` as profile `id`'s data; with `lock`, encrypted like a locked profile. */
+async function writeProfileState(id, st, lock = null){
+  const other = await openStorage(id);
+  try{
+    const target = lock ? createEncryptedStorage(other, lock) : other;
+    const { written, revision } = await target.save({ ...st, schemaVersion: SCHEMA_VERSION });
+    if(written) announceSave(revision, id);
+  }finally{
+    other.close();
+  }
+}
+
+function addProfile(name){
+  const profile = {
+    id: crypto.randomUUID(),
+    name: String(name || "").trim() || `Profile ${profileRegistry.profiles.length + 1}`,
+    createdAt: new Date().toISOString()
+  };
+  profileRegistry.profiles.push(profile);
+  saveProfiles();
+  return profile;
+}
+
+async function deleteProfile(id){
+  const remaining = profileRegistry.profiles.filter(p => p.id !== id);
+  if(!remaining.length) return;
+
+  if(id === profileRegistry.activeId) await switchProfile(remaining[0].id);
+
+  const doomed = await openStorage(id);
+  await doomed.destroy();
+
+  profileRegistry.profiles = remaining;
+  saveProfiles();
+  renderProfileSwitcher();
+}
+
+function profileFileName(profile){
+  const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `neuroforge-${slug || "profile"}.json`;
+}
+
+function profilesModalBody(){
+  return `
+    <p>Each profile has its own baselines, notes, log and focus. Only the active one is shown.</p>
+
+    <table class="modal-table">
+      <thead><tr><th>Name</th><th>Created</th><th></th></tr></thead>
+      <tbody>
+        ${profileRegistry.profiles.map(p => `
+          <tr>
+            <td>
+              <input class="miniInput" data-profile-name="${escapeHtml(p.id)}" value="${escapeHtml(p.name)}">
+              ${p.id === profileRegistry.activeId ? `<span class="tag">active</span>` : ""}
+            </td>
+            <td>${escapeHtml(formatDay(p.createdAt))}</td>
+            <td class="profile-actions">
+              ${p.id === profileRegistry.activeId ? "" : `<button type="button" class="btn btn-ghost" data-profile-action="switch" data-id="${escapeHtml(p.id)}">Switch</button>`}
+              <button type="button" class="btn btn-ghost" data-profile-action="rename" data-id="${escapeHtml(p.id)}">Rename</button>
+              <button type="button" class="btn btn-ghost" data-profile-action="duplicate" data-id="${escapeHtml(p.id)}">Duplicate</button>
+              <button type="button" class="btn btn-ghost" data-profile-action="export" data-id="${escapeHtml(p.id)}">Export</button>
+              ${profileRegistry.profiles.length > 1 ? `<button type="button" class="btn btn-ghost" data-profile-action="delete" data-id="${escapeHtml(p.id)}">🗑️</button>` : ""}
+            </td>
+          </tr>`).join("")}
+      </tbody>
+    </table>
+
+    <div class="profile-new">
+      <input class="miniInput" id="newProfileName" placeholder="New profile name">
+      <button type="button" class="btn btn-secondary" data-profile-action="create">+ New profile</button>
+      <button type="button" class="btn btn-ghost" data-profile-action="import">📥 Import file as new profile</button>
+      <input type="file" id="profileImportFile" accept="application/json,.json" hidden>
+    </div>
+
+    <div class="saveStatus" id="profileStatus" aria-live="polite"></div>
+  `;
+}
+
+/** New profile holding a backup's data. */
+async function importAsProfile(parsed, fileName){
+  const errors = validateStateShape(parsed);
+  if(errors.length) throw new Error(errors.slice(0, 3).join(" "));
+
+  const st = normalizeState(parsed);
+  const profile = addProfile(fileName.replace(/(\.encrypted)?\.json$/i, ""));
+  await writeProfileState(profile.id, st);
+  return profile;
+}
+
+function manageProfiles(status = ""){
+  openModal({
+    title: "👤 Profiles",
+    confirmText: "Done",
+    bodyHtml: profilesModalBody()
+  });
+  $("profileStatus").textContent = status;
+
+  const refresh = (msg = "") => {
+    modalBody.innerHTML = profilesModalBody();
+    $("profileStatus").textContent = msg;
+    renderProfileSwitcher();
+  };
+
+  modalBody.onchange = (ev) => {
+    if(ev.target.id !== "profileImportFile") return;
+    const file = ev.target.files[0];
+    if(!file) return;
+
+    file.text().then(async (text) => {
+      const parsed = JSON.parse(text);
+
+      if(isEncryptedBlob(parsed)){
+        // The passphrase prompt takes over the modal; the profile list comes back after
+        let profile = null;
+        try{
+          await importEncrypted(parsed, file.name, async (plain) => {
+            profile = await importAsProfile(plain, file.name);
+          });
+          manageProfiles(profile ? `Imported “${profile.name}” ✅` : "Import cancelled.");
+        }catch(e){
+          manageProfiles(`Import failed: ${e.message || e}`);
+        }
+        return;
+      }
+
+      const profile = await importAsProfile(parsed, file.name);
+      refresh(`Imported “${profile.name}” ✅`);
+    }).catch(e => refresh(`Import failed: ${e.message || e}`));
+  };
 
-  URL.revokeObjectURL(url);
+  modalBody.onclick = async (ev) => {
+    const btn = ev.target.closest("[data-profile-action]");
+    if(!btn) return;
+
+    const action = btn.dataset.profileAction;
+    const id = btn.dataset.id;
+    const profile = profileRegistry.profiles.find(p => p.id === id);
+
+    try{
+      if(action === "create"){
+        const created = addProfile($("newProfileName").value);
+        refresh(`Created “${created.name}”.`);
+      }else if(action === "import"){
+        $("profileImportFile").click();
+      }else if(action === "switch"){
+        await switchProfile(id);
+        refresh(`Switched to “${profile.name}”.`);
+      }else if(action === "rename"){
+        const input = [...modalBody.querySelectorAll("[data-profile-name]")].find(el => el.dataset.profileName === id);
+        profile.name = input.value.trim() || profile.name;
+        saveProfiles();
+        refresh("Renamed ✅");
+      }else if(action === "duplicate"){
+        // A locked profile's copy stays locked, with the same passphrase
+        const active = id === profileRegistry.activeId;
+        if(!active && await profileIsLocked(id)){
+          refresh(`“${profile.name}” is locked. Switch to it (and unlock it) to duplicate it.`);
+          return;
+        }
+        const lock = active && storage.encrypted ? storage.lock : null;
+        const st = await readProfileState(id);
+        const copy = addProfile(`${profile.name} (copy)`);
+        await writeProfileState(copy.id, st, lock);
+        refresh(`Duplicated into “${copy.name}”${lock ? " (locked with the same passphrase 🔒)" : ""}.`);
+      }else if(action === "export"){
+        const st = await readProfileState(id);
+        downloadText(profileFileName(profile), JSON.stringify(st, null, 2));
+      }else if(action === "delete"){
+        // Two-step: first click arms, second click deletes
+        if(btn.dataset.armed !== "1"){
+          btn.dataset.armed = "1";
+          btn.textContent = `Delete “${profile.name}”?`;
+          return;
+        }
+        await deleteProfile(id);
+        refresh(`Deleted “${profile.name}”.`);
+      }
+    }catch(e){
+      refresh(`Failed: ${e.message || e}`);
+    }
+  };
 }
 
 function resetMenu(){
@@ -580,28 +2619,21 @@ function resetMenu(){
       </label>
 
       <p style="font-size:12px;color:#c7c2ffcc;font-family:var(--mono);">
-        This affects only this browser/device.
+        This affects only the active profile (“${escapeHtml(activeProfile().name)}”) on this browser/device.
       </p>
     `,
     onConfirm: () => {
       const rLog = document.getElementById("rLog").checked;
       const rBase = document.getElementById("rBase").checked;
       const rAll = document.getElementById("rAll").checked;
-
-      if(rAll){
-        state = structuredCloneSafe(DEFAULT_STATE);
-        render();
-        return;
-      }
-
-      if(rLog) state.log = [];
-
-      if(rBase){
-        state.baselines = structuredCloneSafe(DEFAULT_STATE.baselines);
-        state.notes = structuredCloneSafe(DEFAULT_STATE.notes);
-      }
-
-      render();
+      if(!rLog && !rBase && !rAll) return;
+
+      undoable(
+        rAll ? "Reset everything" : [rLog && "Reset the log", rBase && "Reset baselines"].filter(Boolean).join(" + "),
+        { ids: rAll || rLog ? "all" : [], keys: rAll ? STATE_KEYS : rBase ? SKILL_KEYS : [] },
+        st => resetState(st, { log: rLog, baselines: rBase, everything: rAll })
+      );
+      commit();
     }
   });
 }
@@ -609,42 +2641,145 @@ function resetMenu(){
 /* ---------------------------------------------------------
   07) MISSION CONSOLE ACTIONS
 --------------------------------------------------------- */
-function saveConsoleToLatest(){
-  if(!state.log.length){
+/* --- Console drafts ---
+   The console is bound to one log entry (picked, or the newest). Edits are kept
+   as a draft of that entry until saved, so re-renders, new rolls and reloads
+   never wipe them. Drafts are stored next to the profile's data (as a backup
+   record), not in the state: they aren't exported or synced. */
+const DRAFTS_BACKUP_NAME = "console_drafts";
+const DRAFT_SAVE_MS = 400;
+const CONSOLE_PICKER_LIMIT = 50;
+
+let consoleTargetId = null; // entry picked in the console; null = follow the newest
+let consoleLoadedId = null; // entry whose values are in the inputs right now
+let drafts = {};            // entry id -> console fields not saved yet
+let draftTimer = null;
+
+function consoleEntry(){
+  return state.log.find(e => e.id === consoleTargetId) || state.log[0] || null;
+}
+
+/** The console's view of an entry (same shape as readConsoleFields()). */
+function consoleFieldsOf(e){
+  return {
+    challengeText: e.challengeText || "",
+    answerText: e.answerText || "",
+    insightText: e.insightText || "",
+    mood: e.mood || "",
+    sleepHrs: String(e.sleepHrs ?? ""),
+    difficulty: e.difficulty || "",
+    liked: e.liked || "",
+    completed: !!e.completed,
+    steps: (e.steps || []).map(s => ({ n: s.n, answer: s.answer || "", done: !!s.done }))
+  };
+}
+
+function readConsoleFields(){
+  return {
+    challengeText: $("challengeText").value,
+    answerText: $("answerText").value,
+    insightText: $("insightText").value,
+    mood: $("moodSel").value,
+    sleepHrs: $("sleepHrs").value,
+    difficulty: $("diffSel").value,
+    liked: $("likeSel").value,
+    completed: $("completeToggle").checked,
+    steps: readConsoleSteps()
+  };
+}
+
+function fillConsole(f){
+  $("challengeText").value = f.challengeText;
+  $("answerText").value = f.answerText;
+  $("insightText").value = f.insightText;
+  $("moodSel").value = f.mood;
+  $("sleepHrs").value = f.sleepHrs;
+  $("diffSel").value = f.difficulty;
+  $("likeSel").value = f.liked;
+  $("completeToggle").checked = f.completed;
+  renderConsoleSteps(syncEntrySteps({ challengeText: f.challengeText }, f.steps).steps || null);
+}
+
+/** After any console edit: keep a draft while it differs from the entry. */
+function updateDraft(){
+  const entry = state.log.find(e => e.id === consoleLoadedId);
+  if(!entry) return;
+
+  const fields = readConsoleFields();
+  const hadDraft = !!drafts[entry.id];
+  if(sameJson(fields, consoleFieldsOf(entry))) delete drafts[entry.id];
+  else drafts[entry.id] = fields;
+
+  renderDraftStatus();
+  if(hadDraft !== !!drafts[entry.id]) renderConsolePicker(consoleEntry());
+
+  window.clearTimeout(draftTimer);
+  draftTimer = window.setTimeout(persistDrafts, DRAFT_SAVE_MS);
+}
+
+function persistDrafts(){
+  window.clearTimeout(draftTimer);
+  draftTimer = null;
+
+  // Drafts of deleted entries go with them
+  const ids = new Set(state.log.map(e => e.id));
+  for(const id of Object.keys(drafts)){
+    if(!ids.has(id)) delete drafts[id];
+  }
+
+  const raw = JSON.stringify({ target: consoleTargetId, drafts });
+  // Best effort, like the undo history: never block or fail a real save
+  storage.putBackup(DRAFTS_BACKUP_NAME, raw).catch(() => {});
+}
+
+async function loadDrafts(){
+  drafts = {};
+  consoleTargetId = null;
+  consoleLoadedId = null;
+
+  try{
+    const saved = JSON.parse((await storage.getBackup(DRAFTS_BACKUP_NAME)) || "null");
+    if(isPlainObject(saved?.drafts)) drafts = saved.drafts;
+    if(typeof saved?.target === "string") consoleTargetId = saved.target;
+  }catch{
+    // Unreadable drafts just start empty
+  }
+}
+
+function pickConsoleEntry(id){
+  consoleTargetId = id || null;
+  renderConsole();
+  persistDrafts();
+}
+
+function discardDraft(){
+  const entry = consoleEntry();
+  if(!entry) return;
+
+  delete drafts[entry.id];
+  consoleLoadedId = null; // refill from the entry
+  renderConsole();
+  persistDrafts();
+}
+
+function saveConsole(){
+  const entry = consoleEntry();
+  if(!entry){
     alert("No session entry yet. Roll a mode first.");
     return;
   }
 
-  const latest = state.log[0];
-
-  latest.challengeText = $("challengeText").value || "";
-  latest.answerText = $("answerText").value || "";
-  latest.insightText = $("insightText") ? ($("insightText").value || "") : "";
+  const fields = readConsoleFields();
+  undoable(`Saved console to “${entry.title}”`, { ids: [entry.id] }, st => updateLogEntry(st, entry.id, fields));
 
-  latest.mood = $("moodSel").value || "";
-  latest.sleepHrs = $("sleepHrs").value || "";
-  latest.difficulty = $("diffSel").value || "";
-  latest.liked = $("likeSel").value || "";
+  delete drafts[entry.id];
+  persistDrafts();
 
-  latest.completed = $("completeToggle").checked;
+  commit(entry.id);
 
   // Immediate feedback
   pulseSaveButton();
   setSaveStatus("Saved ✅");
-
-  // Clear the console inputs after save (as requested)
-  $("answerText").value = "";
-  if($("insightText")) $("insightText").value = "";
-  $("moodSel").value = "";
-  $("sleepHrs").value = "";
-  $("diffSel").value = "";
-  $("likeSel").value = "";
-
-  // Keep challenge text (usually you want it there while working),
-  // but you can clear it too if you'd rather:
-  // $("challengeText").value = "";
-
-  render();
 }
 
 /* ---------------------------------------------------------
@@ -657,11 +2792,16 @@ function handleLogAction(ev){
   const action = btn.dataset.action;
   const id = btn.dataset.id;
 
+  if(action === "more"){
+    showMoreLog();
+    return;
+  }
+
   const entry = state.log.find(e => e.id === id);
   if(!entry) return;
 
   if(action === "copy"){
-    const text = entryToClipboardText(entry);
+    const text = entryToClipboardText(entry, state.settings.stepXP);
 
     navigator.clipboard?.writeText(text).then(
       () => alert("Copied to clipboard ✅"),
@@ -670,14 +2810,47 @@ function handleLogAction(ev){
     return;
   }
 
+  if(action === "drill" && entry.drill){
+    runDrill(entry);
+    return;
+  }
+
+  if(action === "console"){
+    pickConsoleEntry(entry.id);
+    $("missionConsole").scrollIntoView({ behavior: "smooth", block: "start" });
+    return;
+  }
+
+  if(action === "key" && entry.drill){
+    openModal({
+      title: `🔑 Answer key • seed ${entry.drill.seed}`,
+      confirmText: "Close",
+      bodyHtml: `
+        <table class="modal-table">
+          <thead><tr><th>#</th><th>Skill</th><th>Prompt</th><th>Answer</th></tr></thead>
+          <tbody>
+            ${entry.drill.items.map((it, i) => `
+              <tr>
+                <td>${i + 1}</td>
+                <td>${escapeHtml(it.category)}</td>
+                <td>${escapeHtml(it.prompt)}</td>
+                <td><b>${escapeHtml(it.answer)}</b></td>
+              </tr>`).join("")}
+          </tbody>
+        </table>
+      `
+    });
+    return;
+  }
+
   if(action === "delete"){
     openModal({
       title: "Delete this entry?",
       confirmText: "Delete",
       bodyHtml: `<p>This removes only this one session log item.</p>`,
       onConfirm: () => {
-        state.log = state.log.filter(e => e.id !== id);
-        render();
+        undoable(`Deleted “${entry.title}”`, { ids: [id] }, st => deleteLogEntry(st, id));
+        commit();
       }
     });
     return;
@@ -688,7 +2861,10 @@ function handleLogAction(ev){
       title: "Edit Entry (Challenge / Notes / Insights / Metrics)",
       confirmText: "Save",
       bodyHtml: `
-        <p>Edit this session entry:</p>
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;">
+          <p>Edit this session entry (Markdown supported):</p>
+          <button type="button" class="btn btn-ghost" id="editPreview">👁 Preview</button>
+        </div>
 
         <label style="display:block;margin:10px 0 6px;color:#c7c2ffcc;font-family:var(--mono);font-size:12px;">
           Challenge
@@ -728,67 +2904,692 @@ function handleLogAction(ev){
         </div>
       `,
       onConfirm: () => {
-        entry.challengeText = document.getElementById("editChallenge").value || "";
-        entry.answerText = document.getElementById("editNotes").value || "";
-        entry.insightText = document.getElementById("editInsights").value || "";
-        entry.mood = document.getElementById("editMood").value || "";
-        entry.sleepHrs = document.getElementById("editSleep").value || "";
-        entry.difficulty = document.getElementById("editDiff").value || "";
-        entry.liked = document.getElementById("editLike").value || "";
-        render();
+        updateLogEntry(state, id, {
+          challengeText: document.getElementById("editChallenge").value || "",
+          answerText: document.getElementById("editNotes").value || "",
+          insightText: document.getElementById("editInsights").value || "",
+          mood: document.getElementById("editMood").value || "",
+          sleepHrs: document.getElementById("editSleep").value || "",
+          difficulty: document.getElementById("editDiff").value || "",
+          liked: document.getElementById("editLike").value || ""
+        });
+        commit(id);
       }
     });
+
+    let previewing = false;
+    $("editPreview").addEventListener("click", () => {
+      previewing = !previewing;
+      setMarkdownPreview(modalBody, previewing);
+      $("editPreview").textContent = previewing ? "✏️ Edit" : "👁 Preview";
+    });
+  }
+}
+
+function toggleSelectShown(){
+  const shown = filterLog(state.log, logFilter, state.settings.stepXP);
+  const allShown = shown.every(e => selectedIds.has(e.id));
+
+  for(const e of shown){
+    if(allShown) selectedIds.delete(e.id);
+    else selectedIds.add(e.id);
+  }
+  renderLog();
+}
+
+function copySelectedEntries(){
+  // Log order (newest first), regardless of the current sort
+  const text = state.log
+    .filter(e => selectedIds.has(e.id))
+    .map(e => entryToClipboardText(e, state.settings.stepXP))
+    .join("\n\n---\n\n");
+
+  navigator.clipboard?.writeText(text).then(
+    () => alert(`Copied ${selectedIds.size} entries ✅`),
+    () => alert("Clipboard blocked by browser. Try again or copy manually.")
+  );
+}
+
+function readLogToolbar(){
+  return {
+    ...logFilter,
+    q: $("logSearch").value,
+    cat: $("logCat").value,
+    status: $("logStatus").value,
+    diff: $("logDiff").value,
+    mood: $("logMood").value,
+    from: $("logFrom").value,
+    to: $("logTo").value,
+    sort: $("logSort").value,
+    totals: $("logTotals").checked ? "filtered" : ""
+  };
+}
+
+/**
+ * Apply a filter: update the hash (no history spam) and redraw only what depends on it.
+ */
+function setLogFilter(f){
+  logFilter = f;
+
+  const hash = logFilterToHash(f);
+  if(hash !== location.hash && !(hash === "" && !location.hash)){
+    history.replaceState(null, "", hash || location.pathname + location.search);
   }
+
+  setTopStats();
+  renderLog();
 }
 
 function handleCompleteToggle(ev){
   const cb = ev.target;
   if(!(cb instanceof HTMLInputElement)) return;
-  if(cb.dataset.action !== "toggleComplete") return;
+  if(cb.dataset.action === "select"){
+    if(cb.checked) selectedIds.add(cb.dataset.id);
+    else selectedIds.delete(cb.dataset.id);
+    renderLogSelection(filterLog(state.log, logFilter, state.settings.stepXP));
+    return;
+  }
+  if(cb.dataset.action !== "toggleComplete" && cb.dataset.action !== "toggleStep") return;
 
-  const id = cb.dataset.id;
-  const entry = state.log.find(e => e.id === id);
-  if(!entry) return;
+  const changed = cb.dataset.action === "toggleStep"
+    ? setStepDone(state, cb.dataset.id, cb.dataset.step, cb.checked)
+    : setEntryCompleted(state, cb.dataset.id, cb.checked);
+  if(changed) commit(cb.dataset.id);
+}
 
-  entry.completed = cb.checked;
-  render();
+/* ---------------------------------------------------------
+  09) DRILL RUNNER (generators + grading live in core.js)
+--------------------------------------------------------- */
+const DRILL_ITEM_SECONDS = 20;
+const MEMORIZE_MS_PER_SYMBOL = 700;
+
+/**
+ * Interactive runner: one item at a time with a countdown.
+ * Working Memory items flash the sequence first, then hide it.
+ * A mode time limit caps the whole run; items left when it hits count as timeouts.
+ * Nothing is stored unless the run finishes and the user saves.
+ */
+function runDrill(entry){
+  const items = entry.drill.items;
+  const results = [];
+  let idx = 0;
+  let timer = null;
+  let phaseTimeout = null;
+  let shownAt = 0;
+  let itemSeconds = DRILL_ITEM_SECONDS;
+  const deadline = entry.timeLimitMin ? performance.now() + entry.timeLimitMin * 60000 : Infinity;
+
+  const stop = () => {
+    window.clearInterval(timer);
+    window.clearTimeout(phaseTimeout);
+    timer = null;
+  };
+
+  openModal({
+    title: `▶ Drill: ${entry.title}`,
+    confirmText: "Save result",
+    bodyHtml: `<div class="drill" id="drillRunner"></div>`,
+    onClose: stop,
+    onConfirm: () => {
+      if(results.length !== items.length) return;
+      recordDrillResult(state, entry.id, results);
+      commit(entry.id);
+    }
+  });
+
+  modalConfirm.disabled = true;
+  const box = document.getElementById("drillRunner");
+
+  function record(it, given, timedOut, ms){
+    results.push({
+      category: it.category,
+      prompt: it.prompt,
+      expected: it.answer,
+      given: String(given ?? ""),
+      correct: !timedOut && gradeAnswer(given, it.answer),
+      ms: Math.round(ms),
+      timedOut
+    });
+  }
+
+  function submit(given, timedOut = false){
+    if(!timer && !timedOut) return;
+    stop();
+
+    record(items[idx], given, timedOut, timedOut ? itemSeconds * 1000 : performance.now() - shownAt);
+
+    idx++;
+    if(idx < items.length) showItem();
+    else showSummary();
+  }
+
+  function startAnswering(it){
+    // The memorize phase may have eaten into the session limit
+    itemSeconds = Math.min(DRILL_ITEM_SECONDS, Math.max(1, (deadline - performance.now()) / 1000));
+    box.innerHTML = `
+      <div class="drill-head">
+        <span>${idx + 1} / ${items.length} • ${escapeHtml(it.category)}</span>
+        <span class="drill-clock" id="drillClock">${itemSeconds.toFixed(1)}s</span>
+      </div>
+      <div class="drill-prompt">${escapeHtml(it.memorize ? it.ask : it.prompt)}</div>
+      ${it.choices ? `
+        <div class="drill-choices">
+          ${it.choices.map(c => `<button type="button" class="btn btn-secondary" data-choice="${escapeHtml(c)}">${escapeHtml(c)}</button>`).join("")}
+        </div>
+      ` : `
+        <div class="drill-answer">
+          <input id="drillInput" class="miniInput" autocomplete="off" inputmode="${/^-?\d/.test(it.answer) ? "decimal" : "text"}">
+          <button type="button" class="btn btn-primary" id="drillNext">Next ▶</button>
+        </div>
+      `}
+    `;
+
+    const input = document.getElementById("drillInput");
+    if(input){
+      input.focus();
+      input.addEventListener("keydown", (ev) => {
+        if(ev.key !== "Enter") return;
+        ev.preventDefault(); // don't let the dialog form submit
+        submit(input.value);
+      });
+      document.getElementById("drillNext").addEventListener("click", () => submit(input.value));
+    }
+
+    box.querySelectorAll("[data-choice]").forEach(btn => {
+      btn.addEventListener("click", () => submit(btn.dataset.choice));
+    });
+
+    shownAt = performance.now();
+    const clock = document.getElementById("drillClock");
+    timer = window.setInterval(() => {
+      const left = itemSeconds - (performance.now() - shownAt) / 1000;
+      clock.textContent = `${Math.max(0, left).toFixed(1)}s`;
+      clock.classList.toggle("low", left < 5);
+      if(left <= 0) submit(input ? input.value : "", true);
+    }, 100);
+  }
+
+  function showItem(){
+    const it = items[idx];
+    if(performance.now() >= deadline){
+      // Out of session time: the rest go in unanswered
+      for(; idx < items.length; idx++) record(items[idx], "", true, 0);
+      showSummary();
+      return;
+    }
+
+    if(!it.memorize){
+      startAnswering(it);
+      return;
+    }
+
+    const symbols = it.memorize.split(" ").length;
+    box.innerHTML = `
+      <div class="drill-head"><span>${idx + 1} / ${items.length} • ${escapeHtml(it.category)}</span><span>memorize…</span></div>
+      <div class="drill-prompt drill-memorize">${escapeHtml(it.memorize)}</div>
+    `;
+    phaseTimeout = window.setTimeout(() => startAnswering(it), symbols * MEMORIZE_MS_PER_SYMBOL);
+  }
+
+  function showSummary(){
+    const sum = summarizeDrill(results);
+    const potential = Number(entry.xpPotential) || 0;
+    const xp = potential ? Math.round(potential * (sum.correct / sum.total)) : 0;
+
+    box.innerHTML = `
+      <div class="drill-prompt">🎯 ${sum.correct} / ${sum.total} correct • median ${formatMs(sum.medianMs)}</div>
+      <p>Saving marks this entry complete for <b>${xp}</b> / ${potential} XP.</p>
+      <table class="modal-table">
+        <thead><tr><th>#</th><th>Prompt</th><th>You</th><th>Key</th><th>Time</th></tr></thead>
+        <tbody>
+          ${results.map((r, i) => `
+            <tr class="${r.correct ? "ok" : "miss"}">
+              <td>${r.correct ? "✅" : "❌"} ${i + 1}</td>
+              <td>${escapeHtml(r.prompt)}</td>
+              <td>${r.timedOut ? "⏱ timeout" : escapeHtml(r.given || "—")}</td>
+              <td>${escapeHtml(r.expected)}</td>
+              <td>${formatMs(r.ms)}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    `;
+    modalConfirm.disabled = false;
+  }
+
+  showItem();
 }
 
 /* ---------------------------------------------------------
-  09) EVENT WIRING + BOOT
+  10) REMOTE SYNC (settings, runs, conflict review)
+   Optional: entries travel one by one to a server the user runs (protocol in
+   the README, merging in core.js, 10). Settings + bookkeeping live in a backup
+   record of the profile, so they're per profile and follow the lock.
 --------------------------------------------------------- */
-let state = loadState();
+const SYNC_META_NAME = "remote_sync";
+const REMOTE_SYNC_DELAY_MS = 5000;
+const REMOTE_SYNC_POLL_MS = 2 * 60 * 1000;
+
+let remoteSync = emptySyncMeta();
+let remoteSyncTimer = null;
+let remoteSyncRun = null;   // the run in flight, if any
+let editSeen = new Map();   // record id -> { at, json } as of the last save (see touchEdits)
+
+/** New updatedAt for whatever was edited since the last call; runs before every save. */
+function stampEdits(ids = null){
+  touchEdits(state, editSeen, undefined, ids);
+}
 
-$("btnDaily").addEventListener("click", () => runSession("Daily Neural Roll", 1));
-$("btnTri").addEventListener("click", () => runSession("Tri-Skill Sprint", 3));
-$("btnFull").addEventListener("click", () => runSession("Full Circuit", 5));
+/** Start edit tracking over for freshly loaded data (nothing counts as edited). */
+function trackEdits(){
+  editSeen = new Map();
+  stampEdits();
+}
 
-$("btnRetest").addEventListener("click", () => {
-  const cat = $("retestSelect").value;
-  if(!cat) return;
-  quickRetest(cat);
-});
+async function loadRemoteSync(){
+  remoteSync = emptySyncMeta();
+  try{
+    const saved = JSON.parse((await storage.getBackup(SYNC_META_NAME)) || "null");
+    if(isPlainObject(saved) && typeof saved.endpoint === "string") remoteSync = { ...remoteSync, ...saved };
+  }catch{
+    // Unreadable settings just mean sync is off until it's set up again
+  }
+}
+
+function persistRemoteSync(){
+  if(storageBlocked) return;
+  storage.putBackup(SYNC_META_NAME, JSON.stringify(remoteSync)).catch(() => {});
+}
+
+function syncConflictCount(){
+  return Object.keys(remoteSync.conflicts).length;
+}
+
+/** Sync soon (edits come in bursts); commit() calls this after every change. */
+function scheduleRemoteSync(){
+  if(!remoteSync.endpoint || remoteSyncTimer) return;
+  remoteSyncTimer = window.setTimeout(runRemoteSync, REMOTE_SYNC_DELAY_MS);
+}
+
+/**
+ * Pull, merge, push. Never rejects: failures end up in remoteSync.lastError
+ * (shown on the Sync button). A second call while one runs gets the same run.
+ */
+function runRemoteSync(){
+  window.clearTimeout(remoteSyncTimer);
+  remoteSyncTimer = null;
+  if(remoteSyncRun) return remoteSyncRun;
+  if(!remoteSync.endpoint || storageBlocked) return Promise.resolve();
+
+  remoteSyncRun = syncOnce().finally(() => {
+    remoteSyncRun = null;
+    renderSyncButton();
+  });
+  renderSyncButton();
+  return remoteSyncRun;
+}
+
+async function syncOnce(){
+  await flushSaves();
+  // Another tab may have synced since we loaded the bookkeeping
+  await loadRemoteSync();
+
+  // Switching or reloading the profile swaps remoteSync: abandon this run then
+  const sync = remoteSync;
+  const current = () => {
+    if(remoteSync !== sync) throw new Error("cancelled");
+    return state;
+  };
+  const before = syncConflictCount();
+
+  try{
+    await syncWithRemote(sync, createHttpTransport(sync.endpoint, sync.token), {
+      getState: current,
+      touch: () => stampEdits(),
+      onChange: render
+    });
+  }catch(e){
+    if(remoteSync !== sync) return;
+    sync.lastError = String(e.message || e);
+  }
+
+  persistRemoteSync();
+  persist();
+
+  const conflicts = syncConflictCount();
+  if(conflicts > before){
+    showBanner({
+      kind: "warn",
+      html: `⚠️ <b>${conflicts} synced ${conflicts === 1 ? "entry was" : "entries were"} changed here and on another device.</b> Pick which version to keep.`,
+      actions: [
+        { label: "Review", primary: true, onClick: () => { hideBanner(); manageSync(); } },
+        { label: "Later", onClick: hideBanner }
+      ]
+    });
+  }
+}
+
+function startRemoteSync(){
+  window.addEventListener("online", () => runRemoteSync());
+  document.addEventListener("visibilitychange", () => {
+    if(document.visibilityState === "visible") runRemoteSync();
+  });
+  // Picks up other devices' changes while the app sits open
+  window.setInterval(() => {
+    if(document.visibilityState === "visible") runRemoteSync();
+  }, REMOTE_SYNC_POLL_MS);
+
+  runRemoteSync();
+}
+
+function syncVersionText(e){
+  if(!e) return "🗑️ deleted";
+
+  const answer = String(e.answerText || "").trim();
+  return [
+    `edited ${entryStamp({ ts: e.updatedAt, time: e.updatedAt })}`,
+    e.completed ? "✅ complete" : "not complete",
+    answer ? `“${answer.length > 80 ? `${answer.slice(0, 80)}…` : answer}”` : "no answer"
+  ].join(" · ");
+}
+
+function syncConflictsHtml(){
+  const rows = Object.entries(remoteSync.conflicts).map(([id, remote]) => {
+    const local = state.log.find(e => e.id === id) || null;
+    const theirs = remote.deleted ? null : { ...remote.data, updatedAt: remote.updatedAt };
+    const title = (local || theirs)?.title || id;
+
+    return `
+      <tr>
+        <td>${escapeHtml(title)}</td>
+        <td>${escapeHtml(syncVersionText(local))}</td>
+        <td>${escapeHtml(syncVersionText(theirs))}</td>
+        <td>
+          <select class="select" data-conflict="${escapeHtml(id)}">
+            <option value="">Decide later</option>
+            <option value="local">This device</option>
+            <option value="remote">Server</option>
+          </select>
+        </td>
+      </tr>`;
+  });
+  if(!rows.length) return "";
+
+  return `
+    <div class="modal-subtitle">Conflicts (${rows.length})</div>
+    <p class="footnote">Changed on this device and on another one since they last synced.</p>
+    <table class="modal-table">
+      <thead><tr><th>Entry</th><th>This device</th><th>Server</th><th>Keep</th></tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>
+  `;
+}
+
+function syncStatusText(){
+  if(!remoteSync.endpoint) return "Not set up: everything stays on this device.";
+  if(remoteSyncRun) return "Syncing…";
+  if(remoteSync.lastError) return `Last sync failed: ${remoteSync.lastError}`;
+  if(remoteSync.lastSyncAt) return `Last synced ${entryStamp({ ts: remoteSync.lastSyncAt })}.`;
+  return "Not synced yet.";
+}
 
-$("btnEditBaseline").addEventListener("click", editBaselines);
+function manageSync(){
+  if(storageBlocked){
+    showToast("The saved data couldn't be loaded, so it can't be synced right now.");
+    return;
+  }
 
-$("btnClearLog").addEventListener("click", () => {
   openModal({
-    title: "Clear session log?",
-    confirmText: "Clear",
-    bodyHtml: `<p>This clears only the session log. Baselines remain.</p>`,
-    onConfirm: () => {
-      state.log = [];
-      render();
+    title: "☁️ Sync",
+    confirmText: "Save & sync",
+    bodyHtml: `
+      <p>Keep “${escapeHtml(activeProfile().name)}” in step with other devices through a server you run
+      (see the README, “Remote sync”; <code>tools/sync-server.js</code> is a ready-made one).
+      On a device's first sync, skills, baselines and settings come from the server if it has them; log entries from both sides are kept.</p>
+      <label class="check sync-field">Server URL <input class="miniInput" id="syncEndpoint" type="url" value="${escapeHtml(remoteSync.endpoint)}" placeholder="http://localhost:8787/main"></label>
+      <label class="check sync-field">Token <input class="miniInput" id="syncToken" type="password" autocomplete="off" value="${escapeHtml(remoteSync.token)}" placeholder="Optional"></label>
+      <p class="footnote">${escapeHtml(syncStatusText())} Clear the URL to stop syncing.</p>
+      ${storage.encrypted ? `<p class="footnote">🔒 This profile is locked on this device, but the server receives its data unencrypted.</p>` : ""}
+      ${syncConflictsHtml()}
+    `,
+    onConfirm: async () => {
+      const endpoint = $("syncEndpoint").value.trim();
+      const token = $("syncToken").value.trim();
+      const choices = [...modalBody.querySelectorAll("[data-conflict]")]
+        .filter(sel => sel.value)
+        .map(sel => [sel.dataset.conflict, sel.value]);
+
+      if(endpoint && !/^https?:\/\//i.test(endpoint)){
+        showToast("The server URL has to start with http:// or https://");
+        return;
+      }
+
+      // Let a run in flight finish before touching its bookkeeping
+      if(remoteSyncRun) await remoteSyncRun;
+
+      if(endpoint !== remoteSync.endpoint){
+        // Another server (or none): what was agreed with the old one doesn't apply
+        remoteSync = emptySyncMeta(endpoint, token);
+      }else{
+        remoteSync.token = token;
+        for(const [id, keep] of choices) resolveConflict(state, remoteSync, id, keep);
+        if(choices.length) hideBanner();
+      }
+
+      persistRemoteSync();
+      commit();
+      if(!endpoint){
+        showToast("Sync turned off. Data stays on this device.");
+        return;
+      }
+      await runRemoteSync();
+      showToast(remoteSync.lastError ? "Sync failed — see the Sync button." : "Synced ☁️");
     }
   });
-});
+}
+
+/* ---------------------------------------------------------
+  11) EVENT WIRING + BOOT
+--------------------------------------------------------- */
+let state = null;
+let logFilter = parseLogFilter(location.hash);
+let consolePreview = false;
+let selectedIds = new Set(); // Session Log bulk-copy selection (not persisted)
+
+function wireEvents(){
+  $("modeControls").addEventListener("click", (ev) => {
+    if(ev.target.closest("[data-mode-edit]")){
+      manageModes();
+      return;
+    }
+    const btn = ev.target.closest("[data-mode]");
+    const mode = btn && state.modes.find(m => m.id === btn.dataset.mode);
+    if(mode) runSession(mode);
+  });
+
+  $("policySel").addEventListener("change", (ev) => {
+    if(!(ev.target.value in SELECTION_POLICIES)) return;
+    state.settings.selectionPolicy = ev.target.value;
+    commit();
+  });
+
+  $("btnRetest").addEventListener("click", () => {
+    const cat = $("retestSelect").value;
+    if(!cat) return;
+    quickRetest(cat);
+  });
+
+  $("btnEditBaseline").addEventListener("click", editBaselines);
+  $("btnManageSkills").addEventListener("click", manageSkills);
+  $("skillsGrid").addEventListener("click", (ev) => {
+    const card = ev.target.closest("[data-skill]");
+    if(card) openSkillHistory(card.dataset.skill);
+  });
+
+  $("btnClearLog").addEventListener("click", () => {
+    openModal({
+      title: "Clear session log?",
+      confirmText: "Clear",
+      bodyHtml: `<p>This clears only the session log. Baselines remain.</p>`,
+      onConfirm: () => {
+        undoable("Cleared the log", { ids: "all" }, clearLog);
+        commit();
+      }
+    });
+  });
+
+  $("btnExport").addEventListener("click", exportMenu);
+  $("btnImport").addEventListener("click", () => $("importFile").click());
+  $("importFile").addEventListener("change", (ev) => {
+    importData(ev.target.files[0]);
+    ev.target.value = "";
+  });
+  $("btnLock").addEventListener("click", manageLock);
+  $("btnSync").addEventListener("click", manageSync);
+  $("btnReset").addEventListener("click", resetMenu);
+
+  $("profileSel").addEventListener("change", (ev) => switchProfile(ev.target.value));
+  $("btnProfiles").addEventListener("click", manageProfiles);
+
+  $("btnSaveConsole").addEventListener("click", saveConsole);
+  $("btnDiscardDraft").addEventListener("click", discardDraft);
+  $("consoleEntrySel").addEventListener("change", (ev) => pickConsoleEntry(ev.target.value));
+  $("challengeText").addEventListener("input", () => {
+    // Live split as a pack is pasted; typed step answers carry over by number
+    renderConsoleSteps(syncEntrySteps({ challengeText: $("challengeText").value }, readConsoleSteps()).steps || null);
+  });
+  for(const type of ["input", "change"]){
+    $("missionConsole").addEventListener(type, (ev) => {
+      if(ev.target.id === "stepXpToggle" || ev.target.id === "consoleEntrySel") return;
+      updateDraft();
+    });
+  }
+  $("stepsList").addEventListener("change", () => {
+    const steps = readConsoleSteps();
+    $("stepsProgress").textContent = stepProgress(steps);
+    $("stepsList").querySelectorAll("[data-step]").forEach((row, i) => row.classList.toggle("done", steps[i].done));
+  });
+  $("stepXpToggle").addEventListener("change", (ev) => {
+    state.settings.stepXP = ev.target.checked;
+    commit();
+  });
+  $("btnPreview").addEventListener("click", () => {
+    consolePreview = !consolePreview;
+    setMarkdownPreview($("missionConsole"), consolePreview);
+    $("btnPreview").textContent = consolePreview ? "✏️ Edit" : "👁 Preview";
+  });
+
+  for(const id of ["logCat", "logStatus", "logDiff", "logMood", "logFrom", "logTo", "logSort", "logTotals"]){
+    $(id).addEventListener("change", () => setLogFilter(readLogToolbar()));
+  }
+  $("logSearch").addEventListener("input", () => setLogFilter(readLogToolbar()));
+  $("btnSelectShown").addEventListener("click", toggleSelectShown);
+  $("btnCopySelected").addEventListener("click", copySelectedEntries);
+  $("btnLogClear").addEventListener("click", () => {
+    setLogFilter({ ...EMPTY_LOG_FILTER, sort: logFilter.sort, totals: logFilter.totals });
+    renderLogToolbar();
+  });
+
+  window.addEventListener("hashchange", () => {
+    logFilter = parseLogFilter(location.hash);
+    renderLogToolbar();
+    setTopStats();
+    renderLog();
+  });
+
+  $("log").addEventListener("click", handleLogAction);
+  $("log").addEventListener("change", handleCompleteToggle);
+
+  document.addEventListener("keydown", handleUndoKeys);
+}
+
+/**
+ * Offline support (see sw.js). A new deploy installs in the background and waits;
+ * the banner lets the user pick when to swap so nothing reloads mid-drill.
+ */
+function registerServiceWorker(){
+  if(!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+  // The first install also changes controller (clients.claim); only reload for real updates
+  const hadController = !!navigator.serviceWorker.controller;
+  let reloading = false;
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if(!hadController || reloading) return;
+    reloading = true;
+    location.reload();
+  });
+
+  navigator.serviceWorker.register("./sw.js").then(reg => {
+    const offer = (worker) => {
+      if(!worker || !hadController || storageBlocked) return;
+      showBanner({
+        kind: "info",
+        html: "🆕 A new version of NeuroForge is ready.",
+        actions: [
+          {
+            label: "Reload to update",
+            primary: true,
+            onClick: async () => {
+              await flushSaves();
+              worker.postMessage("SKIP_WAITING");
+            }
+          },
+          { label: "Later", onClick: hideBanner }
+        ]
+      });
+    };
+
+    offer(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      worker?.addEventListener("statechange", () => {
+        if(worker.state === "installed") offer(worker);
+      });
+    });
+
+    // Installed apps can stay open for days; look for a deploy when brought back
+    document.addEventListener("visibilitychange", () => {
+      if(document.visibilityState === "visible") reg.update().catch(() => {});
+    });
+  }).catch(() => {
+    // No offline support (private mode, file://, blocked) — the app still works online
+  });
+}
+
+async function boot(){
+  profileRegistry = loadProfiles();
+  saveProfiles();
+
+  storage = await openActiveStorage();
+  state = await loadState();
+  markSynced();
+  trackEdits();
+  await loadUndo();
+  await loadDrafts();
+  await loadRemoteSync();
+
+  wireEvents();
+  startSync();
+  render();
+
+  // Write back migrations/defaults (and move legacy localStorage data into IndexedDB)
+  persist();
 
-$("btnExport").addEventListener("click", exportData);
-$("btnReset").addEventListener("click", resetMenu);
+  if(storageBlocked) showStorageBlocked();
+  else if(migrationNotice) showMigrationNotice();
+  else if(storageFallback) showStorageFallback();
 
-$("btnSaveConsole").addEventListener("click", saveConsoleToLatest);
+  registerServiceWorker();
+  startRemoteSync();
+}
 
-$("log").addEventListener("click", handleLogAction);
-$("log").addEventListener("change", handleCompleteToggle);
+// Flush a pending save (and console drafts) when the tab is hidden/closed
+window.addEventListener("pagehide", () => {
+  if(draftTimer) persistDrafts();
+  if(!saveTimer) return;
+  window.clearTimeout(saveTimer);
+  saveTimer = null;
+  queueSave(() => saveState());
+});
 
-render();
+boot();
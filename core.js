@@ -0,0 +1,2935 @@
+/* =========================================================
+  NeuroForge // core.js
+
+  Purpose:
+    - Everything that doesn't need a browser: state model + defaults,
+      schema migrations, derived values (XP, streaks, analytics, levels),
+      skill selection, session actions, text export, drill generators,
+      passphrase encryption (WebCrypto), remote sync engine
+    - Loads as a plain <script> (window.NeuroForgeCore, used by app.js)
+    - Loads in Node via require("./core.js") for scripts + tests (see test/)
+    - Nothing here touches the DOM or a storage API: backends are passed in
+      (see 08) and randomness comes from an injectable source (see 05)
+
+  Sections:
+    01) Constants + Default State
+    02) Helpers (formatting, dates, Markdown, Training Pack steps)
+    03) Schema (migrations, defaults, skills, modes, validation, merging)
+    04) Derived Values (Earned XP, streaks, log filter, analytics, selection, progression)
+    05) Actions (log entries, sessions, re-tests)
+    06) Text Export (clipboard, CSV, Markdown journal)
+    07) Drill Engine (seeded generators, grading)
+    08) Storage Adapter (load/save through any backend, in-memory backend)
+    09) Encryption (passphrase backups, locked storage)
+    10) Remote Sync (per-entry push/pull, conflicts, HTTP transport)
+========================================================= */
+(function(root, factory){
+  if(typeof module === "object" && module.exports) module.exports = factory();
+  else root.NeuroForgeCore = factory();
+})(typeof self !== "undefined" ? self : this, function(){
+
+/* ---------------------------------------------------------
+  01) CONSTANTS + DEFAULT STATE
+--------------------------------------------------------- */
+
+/**
+ * Built-in training modes; state.modes starts as a copy and is user-editable.
+ * fixed = categories always included, the rest are rolled by the selection policy.
+ * timeLimitMin (0 = none) caps the whole drill run.
+ */
+const DEFAULT_MODES = [
+  { id: "daily", name: "Daily Neural Roll", icon: "🎲", count: 1, fixed: [], xp: 10, timeLimitMin: 0 },
+  { id: "tri", name: "Tri-Skill Sprint", icon: "🧩", count: 3, fixed: [], xp: 18, timeLimitMin: 0 },
+  { id: "full", name: "Full Circuit", icon: "🧠", count: 5, fixed: [], xp: 25, timeLimitMin: 0 }
+];
+
+const DEFAULT_STATE = {
+  baselines: {
+    "Focus & Attention": 6,
+    "Working Memory": 8.5,
+    "Logic & Reasoning": 6,
+    "Comprehension & Synthesis": 7.5,
+    "Vocabulary": 8,
+    "Quick Math": 4.5,
+    "Visualization": 8,
+    "Spatial Awareness": 7,
+    "Pattern Recognition": 9,
+    "Decision-Making Under Uncertainty": 8.5
+  },
+
+  notes: {
+    "Focus & Attention": "Rotation ≠ hierarchy change. Guard against assumption drift.",
+    "Working Memory": "Strong filter under interference.",
+    "Logic & Reasoning": "Needs formal rigor (syllogism overlap trap).",
+    "Comprehension & Synthesis": "Good gist; add why/how for depth.",
+    "Vocabulary": "Solid recognition; we’ll test active use later.",
+    "Quick Math": "Accuracy under pressure is the XP farm.",
+    "Visualization": "Strong mental imagery; keep sharpening transformations.",
+    "Spatial Awareness": "Good directional reasoning; confidence wobble only.",
+    "Pattern Recognition": "Standout strength. Use it everywhere.",
+    "Decision-Making Under Uncertainty": "Good expected-value instincts."
+  },
+
+  // { [skill]: [{ at: ISO string, score, source: "initial"|"retest"|"edit"|"reset"|"import" }] }
+  baselineHistory: {},
+
+  settings: {
+    selectionPolicy: "weakness", // see SELECTION_POLICIES
+    stepXP: false // true = unfinished Training Packs pay out per checked step
+  },
+
+  modes: DEFAULT_MODES,
+
+  todayFocus: "—",
+  log: []
+};
+
+/**
+ * Where the schema + actions get their randomness, ids and clock. Pass your own
+ * (any subset) for reproducible runs, e.g.
+ * { random: mulberry32(42), uuid: () => `id-${n++}`, now: () => new Date(0) }.
+ */
+const DEFAULT_ENV = {
+  random: Math.random,
+  uuid: () => crypto.randomUUID(),
+  now: () => new Date()
+};
+
+/** `env` with DEFAULT_ENV filling in whatever it leaves out. */
+function resolveEnv(env){
+  return env === DEFAULT_ENV ? env : { ...DEFAULT_ENV, ...env };
+}
+
+/* ---------------------------------------------------------
+  02) HELPERS (formatting, dates, Markdown, Training Pack steps)
+--------------------------------------------------------- */
+
+function structuredCloneSafe(x){
+  return JSON.parse(JSON.stringify(x));
+}
+
+function clamp(n, min, max){
+  return Math.max(min, Math.min(max, n));
+}
+
+function scoreToPct(score){
+  return clamp((score / 10) * 100, 0, 100);
+}
+
+function pickRandom(arr, count, rand = Math.random){
+  const a = [...arr];
+  const out = [];
+
+  while(out.length < count && a.length){
+    const i = Math.floor(rand() * a.length);
+    out.push(a.splice(i, 1)[0]);
+  }
+
+  return out;
+}
+
+function nowStamp(d = DEFAULT_ENV.now()){
+  return d.toLocaleString(undefined, {
+    year:"numeric",
+    month:"short",
+    day:"2-digit",
+    hour:"2-digit",
+    minute:"2-digit"
+  });
+}
+
+const MONTHS = ["jan","feb","mar","apr","may","jun","jul","aug","sep","oct","nov","dec"];
+
+/**
+ * Best-effort parse of legacy locale `time` strings (from nowStamp()) into ISO.
+ * Handles what Date.parse understands plus "17 Jan 2026, 09:14",
+ * "17.01.2026, 09:14" and "01/17/2026, 09:14 AM" style stamps.
+ * Returns "" when nothing sensible can be recovered.
+ */
+function parseLegacyTime(str){
+  const s = String(str || "").trim();
+  if(!s) return "";
+
+  const direct = Date.parse(s.replace(/\bat\b/, ""));
+  if(!Number.isNaN(direct)) return new Date(direct).toISOString();
+
+  let y, mo, d;
+  let m = s.match(/(\d{1,2})[.\s-]+([A-Za-z]{3})[A-Za-z.]*[\s-]+(\d{4})/);
+  if(m){
+    d = +m[1]; mo = MONTHS.indexOf(m[2].toLowerCase()); y = +m[3];
+  }else if((m = s.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))){
+    y = +m[1]; mo = +m[2] - 1; d = +m[3];
+  }else if((m = s.match(/(\d{1,2})[./](\d{1,2})[./](\d{4})/))){
+    // Dots are day-first (de/ru); slashes are ambiguous, so assume month-first unless impossible
+    const a = +m[1], b = +m[2];
+    const dayFirst = s.includes(".") || a > 12;
+    d = dayFirst ? a : b; mo = (dayFirst ? b : a) - 1; y = +m[3];
+  }
+  if(y === undefined || mo < 0 || mo > 11) return "";
+
+  let hh = 0, mm = 0;
+  const t = s.match(/(\d{1,2}):(\d{2})\s*([AaPp])?/);
+  if(t){
+    hh = +t[1] % 24; mm = +t[2];
+    if(t[3] && /p/i.test(t[3]) && hh < 12) hh += 12;
+    if(t[3] && /a/i.test(t[3]) && hh === 12) hh = 0;
+  }
+
+  const date = new Date(y, mo, d, hh, mm);
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString();
+}
+
+/**
+ * Display string for an entry: prefer the ISO `ts`, fall back to legacy `time`.
+ */
+function entryStamp(e){
+  if(e.ts){
+    const d = new Date(e.ts);
+    if(!Number.isNaN(d.getTime())) return nowStamp(d);
+  }
+  return e.time || "—";
+}
+
+function escapeHtml(str){
+  return String(str)
+    .replaceAll("&","&amp;")
+    .replaceAll("<","&lt;")
+    .replaceAll(">","&gt;")
+    .replaceAll('"',"&quot;")
+    .replaceAll("'","&#039;");
+}
+
+/* --- Markdown (safe subset) ---
+   The source is escaped before any tags are added, so raw HTML in a pasted pack
+   shows up as text. Supported: headings, paragraphs, lists, tables, fenced code,
+   blockquotes, rules, **bold**, *italic*, ~~strike~~, `code`, http(s)/mailto links. */
+const MD_SAFE_URL = /^(https?:|mailto:)/i;
+const MD_LIST_ITEM = /^(\s*)([-*+]|(\d+)[.)])\s+(.*)$/;
+const MD_TABLE_SEP = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function mdEmphasis(s){
+  return s
+    .replace(/\*\*(?=\S)(.*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(?=\S)(.*?\S)__/g, "<strong>$1</strong>")
+    .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?!\*)/g, "$1<em>$2</em>")
+    .replace(/(^|\W)_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)(.*?\S)~~/g, "<del>$1</del>");
+}
+
+function mdInline(src){
+  const held = [];
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+  // Code spans and links are set aside first so emphasis never reaches inside them
+  let s = String(src).replace(/`([^`]+)`/g, (_, code) => hold(`<code>${escapeHtml(code)}</code>`));
+  s = escapeHtml(s).replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, text, url) => MD_SAFE_URL.test(url)
+    ? hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${mdEmphasis(text)}</a>`)
+    : m);
+
+  return mdEmphasis(s).replace(/\u0000(\d+)\u0000/g, (_, i) => held[i]);
+}
+
+function mdCells(line){
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map(c => c.trim());
+}
+
+function mdList(items){
+  const base = items[0];
+  let html = "";
+
+  for(let k = 0; k < items.length;){
+    const it = items[k++];
+    const children = [];
+    while(k < items.length && items[k].indent > base.indent) children.push(items[k++]);
+    html += `<li>${mdInline(it.text)}${children.length ? mdList(children) : ""}</li>`;
+  }
+
+  if(!base.ordered) return `<ul>${html}</ul>`;
+  return `<ol${base.start !== 1 ? ` start="${base.start}"` : ""}>${html}</ol>`;
+}
+
+function renderMarkdown(src){
+  const lines = String(src || "").replace(/\r\n?/g, "\n").split("\n");
+  const out = [];
+
+  const fenceOf = (l) => l.match(/^\s*(```|~~~)/)?.[1];
+  const headingOf = (l) => l.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+  const isRule = (l) => /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(l);
+  const isTableStart = (k) => lines[k].includes("|") && MD_TABLE_SEP.test(lines[k + 1] || "");
+  const startsBlock = (k) => {
+    const l = lines[k];
+    return !l.trim() || fenceOf(l) || headingOf(l) || isRule(l) || /^\s*>/.test(l) || MD_LIST_ITEM.test(l) || isTableStart(k);
+  };
+
+  for(let i = 0; i < lines.length;){
+    const line = lines[i];
+
+    if(!line.trim()){
+      i++;
+      continue;
+    }
+
+    const fence = fenceOf(line);
+    if(fence){
+      const body = [];
+      for(i++; i < lines.length && !lines[i].trim().startsWith(fence); i++) body.push(lines[i]);
+      i++; // closing fence (or end of text)
+      out.push(`<pre><code>${escapeHtml(body.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    const heading = headingOf(line);
+    if(heading){
+      // Entries sit under the panel's h2, so markdown headings start at h3
+      const level = Math.min(6, heading[1].length + 2);
+      out.push(`<h${level}>${mdInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if(isRule(line)){
+      out.push("<hr>");
+      i++;
+      continue;
+    }
+
+    if(/^\s*>/.test(line)){
+      const quoted = [];
+      for(; i < lines.length && /^\s*>/.test(lines[i]); i++) quoted.push(lines[i].replace(/^\s*>\s?/, ""));
+      out.push(`<blockquote>${renderMarkdown(quoted.join("\n"))}</blockquote>`);
+      continue;
+    }
+
+    if(isTableStart(i)){
+      const head = mdCells(line);
+      const align = mdCells(lines[i + 1]).map(c => c.endsWith(":") ? (c.startsWith(":") ? "center" : "right") : "");
+      const cell = (tag, text, k) => `<${tag}${align[k] ? ` style="text-align:${align[k]}"` : ""}>${mdInline(text)}</${tag}>`;
+      const rows = [];
+      for(i += 2; i < lines.length && lines[i].trim() && lines[i].includes("|"); i++) rows.push(mdCells(lines[i]));
+
+      out.push(`
+        <div class="md-table"><table>
+          <thead><tr>${head.map((c, k) => cell("th", c, k)).join("")}</tr></thead>
+          <tbody>${rows.map(r => `<tr>${head.map((_, k) => cell("td", r[k] || "", k)).join("")}</tr>`).join("")}</tbody>
+        </table></div>`);
+      continue;
+    }
+
+    if(MD_LIST_ITEM.test(line)){
+      const items = [];
+      for(; i < lines.length; i++){
+        const m = lines[i].match(MD_LIST_ITEM);
+        if(m){
+          items.push({ indent: m[1].length, ordered: !!m[3], start: Number(m[3]) || 1, text: m[4] });
+        }else if(lines[i].trim() && !startsBlock(i)){
+          items[items.length - 1].text += " " + lines[i].trim(); // lazy continuation
+        }else if(!lines[i].trim() && MD_LIST_ITEM.test(lines[i + 1] || "")){
+          continue; // loose list: blank line between items
+        }else{
+          break;
+        }
+      }
+      out.push(mdList(items));
+      continue;
+    }
+
+    // Paragraph: keep single line breaks, packs are written line by line
+    const para = [];
+    for(; i < lines.length && (!para.length || !startsBlock(i)); i++) para.push(mdInline(lines[i].trim()));
+    out.push(`<p>${para.join("<br>")}</p>`);
+  }
+
+  return out.join("\n");
+}
+
+function formatDelta(n){
+  const d = Number(n);
+  if(!d) return "±0";
+  return (d > 0 ? "+" : "−") + formatScore(Math.abs(d));
+}
+
+function formatDay(iso){
+  const d = new Date(iso);
+  if(Number.isNaN(d.getTime())) return "—";
+  return d.toLocaleDateString(undefined, { year:"numeric", month:"short", day:"2-digit" });
+}
+
+/* --- Training Pack steps ---
+   "Step 1) …", "Step 2: …", "## Step 3 — …" and "**Step 4.** …" each start a step;
+   text before the first one is the intro. Step numbers must increase, and fewer
+   than two steps means the text is unstructured (single answer box). */
+const STEP_MARKER = /^\s*(?:#{1,6}\s*)?(?:\*\*|__)?\s*step\s*(\d+)\s*(?:\*\*|__)?\s*[).:\-–—]?\s*(?:\*\*|__)?\s*(.*?)\s*(?:\*\*|__)?\s*$/i;
+
+function parsePackSteps(text){
+  const intro = [];
+  const steps = [];
+
+  for(const line of String(text || "").replace(/\r\n?/g, "\n").split("\n")){
+    const m = line.match(STEP_MARKER);
+    const last = steps[steps.length - 1];
+
+    if(m && (!last || Number(m[1]) > last.n)) steps.push({ n: Number(m[1]), title: m[2], body: [] });
+    else if(last) last.body.push(line);
+    else intro.push(line);
+  }
+
+  if(steps.length < 2) return null;
+
+  return {
+    intro: intro.join("\n").trim(),
+    steps: steps.map(s => ({ n: s.n, title: s.title, body: s.body.join("\n").trim() }))
+  };
+}
+
+/**
+ * Re-derive entry.steps from its challengeText.
+ * Answers + checks carry over by step number, so editing the pack text keeps them.
+ */
+function syncEntrySteps(entry, prev = entry.steps || []){
+  const parsed = parsePackSteps(entry.challengeText);
+
+  if(!parsed){
+    delete entry.steps;
+    return entry;
+  }
+
+  entry.steps = parsed.steps.map(s => {
+    const old = prev.find(p => p.n === s.n);
+    return { n: s.n, title: s.title, answer: old?.answer || "", done: !!old?.done };
+  });
+  return entry;
+}
+
+function stepProgress(steps){
+  return `${steps.filter(s => s.done).length}/${steps.length} steps`;
+}
+
+function formatScore(n){
+  const s = Number(n);
+  return Number.isInteger(s) ? String(s) : String(s.toFixed(1));
+}
+
+/* ---------------------------------------------------------
+  03) SCHEMA (migrations, defaults, skills, modes, validation, merging)
+--------------------------------------------------------- */
+
+function backupKey(fromVersion){
+  return `premigration_v${fromVersion}`;
+}
+
+/* --- Schema migrations --- */
+
+function schemaVersionOf(blob){
+  const v = Number(blob && blob.schemaVersion);
+  return Number.isInteger(v) && v >= 0 ? v : 0;
+}
+
+/**
+ * Ordered schema migrations.
+ * Each `up` takes a blob at version `from` and returns it at `from + 1`.
+ * Steps are pure (no DOM / storage) and must tolerate blobs that already
+ * have the newer fields (pre-versioning builds wrote some of them).
+ */
+const MIGRATIONS = [
+  {
+    from: 0,
+    name: "entry metrics (xp → xpPotential, completed, text fields)",
+    up: (st) => ({
+      ...st,
+      log: (Array.isArray(st.log) ? st.log : []).map(e => {
+        const out = { ...e };
+
+        if(typeof out.xpPotential !== "number" && typeof out.xp === "number"){
+          out.xpPotential = out.xp;
+        }
+
+        if(typeof out.completed !== "boolean"){
+          out.completed = true;
+        }
+
+        delete out.xp;
+
+        out.xpPotential = typeof out.xpPotential === "number" ? out.xpPotential : 0;
+
+        out.mood ??= "";
+        out.sleepHrs ??= "";
+        out.difficulty ??= "";
+        out.liked ??= "";
+
+        out.challengeText ??= "";
+        out.answerText ??= "";
+        out.insightText ??= "";
+
+        return out;
+      })
+    })
+  },
+  {
+    from: 1,
+    name: "baseline history",
+    up: (st) => ({ ...st, baselineHistory: normalizeHistory(st.baselineHistory) })
+  },
+  {
+    from: 2,
+    name: "ISO timestamps from legacy time strings",
+    up: (st) => ({
+      ...st,
+      log: st.log.map(e => (typeof e.ts === "string" && !Number.isNaN(Date.parse(e.ts)))
+        ? e
+        : { ...e, ts: parseLegacyTime(e.time) })
+    })
+  },
+  {
+    from: 3,
+    name: "settings block",
+    up: (st) => {
+      const settings = { ...(st.settings && typeof st.settings === "object" ? st.settings : {}) };
+      if(!(settings.selectionPolicy in SELECTION_POLICIES)) delete settings.selectionPolicy;
+      return { ...st, settings };
+    }
+  },
+  {
+    from: 4,
+    name: "skill registry (stop re-adding default skills)",
+    up: (st, env) => {
+      if(st.skills && typeof st.skills === "object") return st;
+
+      // Until now every load merged the defaults back in; freeze that set once
+      const baselines = { ...DEFAULT_STATE.baselines, ...(st.baselines || {}) };
+      const notes = { ...DEFAULT_STATE.notes, ...(st.notes || {}) };
+      const skills = {};
+      for(const name of Object.keys(baselines)) skills[name] = defaultSkillMeta(name, env);
+
+      return { ...st, baselines, notes, skills };
+    }
+  },
+  {
+    from: 5,
+    name: "configurable training modes",
+    up: (st) => Array.isArray(st.modes) ? st : { ...st, modes: structuredCloneSafe(DEFAULT_MODES) }
+  },
+  {
+    from: 6,
+    name: "Training Pack steps from pasted challenges",
+    up: (st) => ({ ...st, log: st.log.map(e => Array.isArray(e.steps) ? e : syncEntrySteps({ ...e })) })
+  },
+  {
+    from: 7,
+    name: "per-entry modification times (remote sync)",
+    up: (st) => ({
+      ...st,
+      log: st.log.map(e => typeof e.updatedAt === "string" ? e : { ...e, updatedAt: e.ts || new Date(0).toISOString() })
+    })
+  },
+  {
+    from: 8,
+    name: "re-test entries marked by kind",
+    // Until now only the title told them apart; entries rolled from a mode carry its id
+    up: (st) => ({ ...st, log: st.log.map(e => e.title === "Re-test" && !e.mode && !e.kind ? { ...e, kind: "retest" } : e) })
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Run every migration from the blob's version up to SCHEMA_VERSION.
+ * Throws (with .migration set to the failing step) without touching the input.
+ */
+function migrateState(blob, env = DEFAULT_ENV){
+  if(isEncryptedBlob(blob)) throw lockedDataError();
+
+  const from = schemaVersionOf(blob);
+  if(from > SCHEMA_VERSION){
+    throw new Error(`Data is schema v${from}, this app only knows up to v${SCHEMA_VERSION}. Update the app first.`);
+  }
+
+  let st = structuredCloneSafe(blob);
+
+  for(const m of MIGRATIONS){
+    if(m.from < from) continue;
+
+    try{
+      st = m.up(st, env);
+    }catch(e){
+      const err = new Error(`Migration v${m.from} → v${m.from + 1} (${m.name}) failed: ${e.message || e}`);
+      err.migration = m.name;
+      throw err;
+    }
+
+    st.schemaVersion = m.from + 1;
+  }
+
+  return st;
+}
+
+/**
+ * Fill defaults for anything a (migrated) blob doesn't carry.
+ * Idempotent; runs on every load.
+ */
+function withDefaults(parsed, historySource = "initial", env = DEFAULT_ENV){
+  const st = {
+    ...structuredCloneSafe(DEFAULT_STATE),
+    ...parsed,
+    baselines: { ...(parsed.baselines || structuredCloneSafe(DEFAULT_STATE.baselines)) },
+    notes: { ...(parsed.notes || {}) },
+    skills: { ...(parsed.skills || {}) },
+    settings: { ...structuredCloneSafe(DEFAULT_STATE.settings), ...(parsed.settings || {}) },
+    modes: normalizeModes(parsed.modes, env),
+    baselineHistory: parsed.baselineHistory || {},
+    log: Array.isArray(parsed.log) ? parsed.log : []
+  };
+
+  // Imports and synced data skip the migration that checks this; an unknown policy can't roll
+  if(!Object.hasOwn(SELECTION_POLICIES, st.settings.selectionPolicy)){
+    st.settings.selectionPolicy = DEFAULT_STATE.settings.selectionPolicy;
+  }
+
+  st.schemaVersion = SCHEMA_VERSION;
+  reconcileSkills(st, env);
+  syncBaselineHistory(st, historySource, env);
+  return st;
+}
+
+/**
+ * Migrate + fill defaults.
+ * Shared by loadState() and importData() so both paths agree.
+ */
+function normalizeState(parsed, historySource = "initial", env = DEFAULT_ENV){
+  return withDefaults(migrateState(parsed, env), historySource, env);
+}
+
+function normalizeHistory(raw){
+  const out = {};
+  if(!raw || typeof raw !== "object") return out;
+
+  for(const [skill, points] of Object.entries(raw)){
+    if(!Array.isArray(points)) continue;
+    out[skill] = points
+      .filter(p => p && typeof p.score === "number" && !Number.isNaN(p.score))
+      .map(p => ({ at: String(p.at || ""), score: p.score, source: String(p.source || "edit") }));
+  }
+
+  return out;
+}
+
+/**
+ * Append a dated data point to a skill's baseline history.
+ */
+function recordBaseline(st, skill, score, source, env = DEFAULT_ENV){
+  const points = (st.baselineHistory[skill] ||= []);
+  points.push({ at: resolveEnv(env).now().toISOString(), score: Number(score), source });
+}
+
+/**
+ * Record a point for every baseline that differs from its last recorded score.
+ * Call after anything that rewrites st.baselines wholesale.
+ */
+function syncBaselineHistory(st, source, env = DEFAULT_ENV){
+  for(const [skill, score] of Object.entries(st.baselines)){
+    const points = st.baselineHistory[skill] || [];
+    const last = points[points.length - 1];
+    if(!last || last.score !== Number(score)) recordBaseline(st, skill, score, source, env);
+  }
+}
+
+/* --- Skill registry ---
+   state.baselines decides which skills exist; state.skills holds their metadata:
+   { [name]: { description, color, archived, drill, createdAt } }
+   `drill` names the DRILL_GENERATORS entry, so renamed skills keep their generator.
+*/
+const SKILL_COLORS = {
+  "": "—",
+  "#ff5fd7": "Pink",
+  "#44ffd7": "Mint",
+  "#9c6bff": "Violet",
+  "#39b6ff": "Cyan",
+  "#ffd75f": "Amber"
+};
+
+function defaultSkillMeta(name, env = DEFAULT_ENV){
+  return {
+    description: "",
+    color: "",
+    archived: false,
+    drill: name in DRILL_GENERATORS ? name : "",
+    createdAt: resolveEnv(env).now().toISOString()
+  };
+}
+
+/** Keep state.skills in step with state.baselines (add missing meta, drop orphans). */
+function reconcileSkills(st, env = DEFAULT_ENV){
+  for(const name of Object.keys(st.baselines)){
+    const meta = { ...defaultSkillMeta(name, env), ...(st.skills[name] || {}) };
+    // Colors end up in style attributes; only accept plain hex from imports
+    if(!/^#[0-9a-f]{3,8}$/i.test(meta.color)) meta.color = "";
+    st.skills[name] = meta;
+  }
+  for(const name of Object.keys(st.skills)){
+    if(!(name in st.baselines)) delete st.skills[name];
+  }
+}
+
+function activeSkillNames(st){
+  return Object.keys(st.baselines).filter(name => !st.skills[name]?.archived);
+}
+
+/**
+ * Rename a skill everywhere it's referenced: registry, baselines, notes,
+ * history, every log entry (categories + drill keys/results) and today's focus.
+ */
+function renameSkill(st, from, to){
+  if(from === to || !(from in st.baselines) || to in st.baselines) return false;
+
+  const renameKey = (obj) => {
+    if(!obj || !(from in obj)) return obj;
+    // Rebuild to keep key order (the grid renders in insertion order)
+    return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k === from ? to : k, v]));
+  };
+  const swap = (c) => c === from ? to : c;
+
+  st.baselines = renameKey(st.baselines);
+  st.notes = renameKey(st.notes);
+  st.skills = renameKey(st.skills);
+  st.baselineHistory = renameKey(st.baselineHistory);
+
+  for(const e of st.log){
+    e.categories = (e.categories || []).map(swap);
+    for(const it of e.drill?.items || []) it.category = swap(it.category);
+    for(const it of e.drillResult?.items || []) it.category = swap(it.category);
+  }
+
+  for(const m of st.modes || []) m.fixed = m.fixed.map(swap);
+
+  st.todayFocus = String(st.todayFocus || "").split(" • ").map(swap).join(" • ");
+  return true;
+}
+
+/**
+ * Coerce a modes list into the shape runSession() expects.
+ * An empty or missing list falls back to DEFAULT_MODES.
+ */
+function normalizeModes(raw, env = DEFAULT_ENV){
+  const list = Array.isArray(raw) ? raw.filter(m => m && typeof m === "object") : [];
+  if(!list.length) return structuredCloneSafe(DEFAULT_MODES);
+
+  return list.map(m => {
+    const fixed = Array.isArray(m.fixed) ? [...new Set(m.fixed.map(String))] : [];
+    return {
+      id: String(m.id || resolveEnv(env).uuid()),
+      name: String(m.name || "").trim() || "Custom Mode",
+      icon: String(m.icon || "").trim() || "🎯",
+      count: clamp(Math.round(Number(m.count)) || 1, Math.max(1, fixed.length), 20),
+      fixed,
+      xp: Math.max(0, Number(m.xp) || 0),
+      timeLimitMin: Math.max(0, Number(m.timeLimitMin) || 0)
+    };
+  });
+}
+
+/**
+ * Check an imported blob against the shape normalizeState() expects.
+ * Returns a list of problems (empty = OK).
+ */
+function validateStateShape(obj){
+  const errors = [];
+  const isPlainObject = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+  if(!isPlainObject(obj)) return ["Top level must be a JSON object."];
+
+  if("baselines" in obj){
+    if(!isPlainObject(obj.baselines)){
+      errors.push("baselines must be an object.");
+    }else{
+      for(const [k, v] of Object.entries(obj.baselines)){
+        if(typeof v !== "number" || Number.isNaN(v)) errors.push(`baselines["${k}"] is not a number.`);
+      }
+    }
+  }
+
+  if("notes" in obj){
+    if(!isPlainObject(obj.notes)){
+      errors.push("notes must be an object.");
+    }else{
+      for(const [k, v] of Object.entries(obj.notes)){
+        if(typeof v !== "string") errors.push(`notes["${k}"] is not text.`);
+      }
+    }
+  }
+
+  if("baselineHistory" in obj){
+    if(!isPlainObject(obj.baselineHistory)){
+      errors.push("baselineHistory must be an object.");
+    }else{
+      for(const [k, v] of Object.entries(obj.baselineHistory)){
+        if(!Array.isArray(v)) errors.push(`baselineHistory["${k}"] must be an array.`);
+      }
+    }
+  }
+
+  if("skills" in obj){
+    if(!isPlainObject(obj.skills)){
+      errors.push("skills must be an object.");
+    }else{
+      for(const [k, v] of Object.entries(obj.skills)){
+        if(!isPlainObject(v)) errors.push(`skills["${k}"] must be an object.`);
+      }
+    }
+  }
+
+  if("modes" in obj){
+    if(!Array.isArray(obj.modes)){
+      errors.push("modes must be an array.");
+    }else{
+      obj.modes.forEach((m, i) => {
+        if(!isPlainObject(m)) errors.push(`modes[${i}] is not an object.`);
+        else if("fixed" in m && !Array.isArray(m.fixed)) errors.push(`modes[${i}].fixed must be an array.`);
+      });
+    }
+  }
+
+  if("schemaVersion" in obj && schemaVersionOf(obj) > SCHEMA_VERSION){
+    errors.push(`Made by a newer NeuroForge (schema v${obj.schemaVersion}); this app knows v${SCHEMA_VERSION}.`);
+  }
+
+  if("todayFocus" in obj && typeof obj.todayFocus !== "string"){
+    errors.push("todayFocus must be text.");
+  }
+
+  if("log" in obj){
+    if(!Array.isArray(obj.log)){
+      errors.push("log must be an array.");
+    }else{
+      const seen = new Set();
+      obj.log.forEach((e, i) => {
+        if(!isPlainObject(e)){
+          errors.push(`log[${i}] is not an object.`);
+          return;
+        }
+        if(typeof e.id !== "string" || !e.id){
+          errors.push(`log[${i}] has no id.`);
+        }else if(seen.has(e.id)){
+          errors.push(`log[${i}] repeats id ${e.id}.`);
+        }else{
+          seen.add(e.id);
+        }
+        if("categories" in e && !Array.isArray(e.categories)){
+          errors.push(`log[${i}].categories must be an array.`);
+        }
+        if("steps" in e && !Array.isArray(e.steps)){
+          errors.push(`log[${i}].steps must be an array.`);
+        }
+      });
+    }
+  }
+
+  if(!("baselines" in obj) && !("log" in obj)){
+    errors.push("No baselines or log found — is this a NeuroForge export?");
+  }
+
+  return errors;
+}
+
+/* --- Merging (imports + cross-tab edits) --- */
+
+/**
+ * Compare two { name: value } maps.
+ * Returns rows for keys present in both with different values.
+ */
+function diffMaps(current, incoming){
+  const rows = [];
+  for(const [k, v] of Object.entries(incoming || {})){
+    if(k in current && current[k] !== v){
+      rows.push({ key: k, current: current[k], incoming: v });
+    }
+  }
+  return rows;
+}
+
+function mergeStates(current, parsed, preferIncoming, env = DEFAULT_ENV){
+  // Only maps the file itself has: defaults filled in by migrations or withDefaults() never count as "imported"
+  const raw = migrateState(parsed, env);
+  const incoming = withDefaults(raw, "initial", env);
+  const fromFile = (k) => parsed[k] ? raw[k] : null;
+  const pick = (a, b) => preferIncoming ? { ...a, ...(b || {}) } : { ...(b || {}), ...a };
+  const knownIds = new Set(current.log.map(e => e.id));
+
+  // Existing entries win on duplicate ids
+  const added = incoming.log.filter(e => !knownIds.has(e.id));
+
+  const merged = {
+    ...current,
+    baselines: pick(current.baselines, fromFile("baselines")),
+    notes: pick(current.notes, fromFile("notes")),
+    skills: pick(current.skills, fromFile("skills")),
+    modes: mergeModes(current.modes, parsed.modes ? incoming.modes : [], preferIncoming),
+    baselineHistory: parsed.baselineHistory
+      ? mergeHistories(current.baselineHistory, incoming.baselineHistory)
+      : current.baselineHistory,
+    log: sortLogNewestFirst([...current.log, ...added])
+  };
+
+  reconcileSkills(merged, env);
+  syncBaselineHistory(merged, "import", env);
+  return merged;
+}
+
+function mergeModes(current, incoming, preferIncoming){
+  const byId = new Map(current.map(m => [m.id, m]));
+  for(const m of incoming){
+    if(preferIncoming || !byId.has(m.id)) byId.set(m.id, m);
+  }
+  return [...byId.values()];
+}
+
+function mergeHistories(a, b){
+  const out = structuredCloneSafe(a);
+
+  for(const [skill, points] of Object.entries(b)){
+    const list = (out[skill] ||= []);
+    const seen = new Set(list.map(p => p.at + "|" + p.score));
+    for(const p of points){
+      if(!seen.has(p.at + "|" + p.score)) list.push(p);
+    }
+    list.sort((x, y) => String(x.at).localeCompare(String(y.at)));
+  }
+
+  return out;
+}
+
+function isPlainObject(x){
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+function sameJson(a, b){
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Three-way merge of one value: a side that didn't touch it takes the other
+ * side's version; objects changed on both sides merge key by key; any other
+ * conflict goes to `remote` (the save that landed first).
+ */
+function mergeValue(base, local, remote){
+  if(sameJson(local, base)) return remote;
+  if(sameJson(remote, base)) return local;
+  if(isPlainObject(base) && isPlainObject(local) && isPlainObject(remote)){
+    const out = {};
+    for(const k of new Set([...Object.keys(local), ...Object.keys(remote)])){
+      const v = mergeValue(base[k], local[k], remote[k]);
+      if(v !== undefined) out[k] = v;
+    }
+    return out;
+  }
+  return remote;
+}
+
+/**
+ * Merge two tabs' edits made from the same `base`. The log merges per entry id,
+ * so sessions added or edited on both sides all survive; deleting an entry only
+ * wins over the other side leaving it untouched.
+ */
+function mergeThreeWay(base, local, remote){
+  const { log: baseLog = [], ...baseRest } = base;
+  const { log: localLog, ...localRest } = local;
+  const { log: remoteLog, ...remoteRest } = remote;
+
+  const baseById = new Map(baseLog.map(e => [e.id, e]));
+  const localById = new Map(localLog.map(e => [e.id, e]));
+  const remoteById = new Map(remoteLog.map(e => [e.id, e]));
+
+  // Entries only this tab added go on top; everything else keeps the remote order
+  const order = [
+    ...localLog.filter(e => !baseById.has(e.id) && !remoteById.has(e.id)).map(e => e.id),
+    ...remoteLog.map(e => e.id),
+    ...localLog.filter(e => baseById.has(e.id) && !remoteById.has(e.id)).map(e => e.id)
+  ];
+
+  const log = [];
+  for(const id of order){
+    const b = baseById.get(id);
+    const l = localById.get(id);
+    const r = remoteById.get(id);
+    if(!b){
+      log.push(r || l);
+      continue;
+    }
+
+    // Deleted on one side: gone unless the other side edited it meanwhile
+    if(!l || !r){
+      const kept = l || r;
+      if(!sameJson(kept, b)) log.push(kept);
+      continue;
+    }
+    log.push(mergeValue(b, l, r));
+  }
+
+  return withDefaults({ ...mergeValue(baseRest, localRest, remoteRest), log });
+}
+
+/* ---------------------------------------------------------
+  04) DERIVED VALUES (EARNED XP, etc.)
+--------------------------------------------------------- */
+
+/**
+ * XP an entry actually earned.
+ * Auto-scored drills pay out in proportion to accuracy;
+ * everything else is all-or-nothing on `completed`, except Training Packs
+ * with per-step XP on, which pay for each checked step until completed.
+ */
+function entryEarnedXP(e, stepXP = false){
+  if(!e.completed){
+    if(!stepXP || !e.steps?.length) return 0;
+    return Math.round((Number(e.xpPotential) || 0) * (e.steps.filter(s => s.done).length / e.steps.length));
+  }
+
+  const potential = Number(e.xpPotential) || 0;
+  const r = e.drillResult;
+  if(r && r.total > 0) return Math.round(potential * (r.correct / r.total));
+
+  return potential;
+}
+
+function calcXP(log, stepXP = false){
+  return log.reduce((sum, e) => sum + entryEarnedXP(e, stepXP), 0);
+}
+
+function formatMs(ms){
+  return `${(Number(ms) / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Newest first by ISO `ts`; entries without one sink to the bottom
+ * (stable, so their relative order is kept).
+ */
+function sortLogNewestFirst(log){
+  return [...log].sort((a, b) => String(b.ts || "").localeCompare(String(a.ts || "")));
+}
+
+/** Local-calendar day key, e.g. "2026-01-17". */
+function dayKey(d){
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function addDays(d, n){
+  const out = new Date(d);
+  out.setDate(out.getDate() + n);
+  return out;
+}
+
+/** Monday of the week containing d (local time, midnight). */
+function weekStart(d){
+  const out = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  out.setDate(out.getDate() - ((out.getDay() + 6) % 7));
+  return out;
+}
+
+/**
+ * Bucket entries by local day.
+ * Returns Map(dayKey -> { sessions, completed, xp }).
+ */
+function buildDailyBuckets(log, stepXP = false){
+  const days = new Map();
+
+  for(const e of log){
+    if(!e.ts) continue;
+    const d = new Date(e.ts);
+    if(Number.isNaN(d.getTime())) continue;
+
+    const key = dayKey(d);
+    const b = days.get(key) || { sessions: 0, completed: 0, xp: 0 };
+    b.sessions++;
+    if(e.completed) b.completed++;
+    b.xp += entryEarnedXP(e, stepXP);
+    days.set(key, b);
+  }
+
+  return days;
+}
+
+/**
+ * Streaks count days/weeks with at least one completed session.
+ * A streak stays alive until the current day/week ends without one.
+ */
+function calcStreaks(log, today = DEFAULT_ENV.now()){
+  const days = buildDailyBuckets(log);
+  const active = (d) => (days.get(dayKey(d))?.completed || 0) > 0;
+
+  let daily = 0;
+  let cursor = active(today) ? today : addDays(today, -1);
+  while(active(cursor)){
+    daily++;
+    cursor = addDays(cursor, -1);
+  }
+
+  const activeWeeks = new Set();
+  for(const [key, b] of days){
+    if(!b.completed) continue;
+    const [y, m, d] = key.split("-").map(Number);
+    activeWeeks.add(dayKey(weekStart(new Date(y, m - 1, d))));
+  }
+
+  let weekly = 0;
+  let wk = weekStart(today);
+  if(!activeWeeks.has(dayKey(wk))) wk = addDays(wk, -7);
+  while(activeWeeks.has(dayKey(wk))){
+    weekly++;
+    wk = addDays(wk, -7);
+  }
+
+  let best = 0;
+  let run = 0;
+  let prev = null;
+  for(const key of [...days.keys()].filter(k => days.get(k).completed).sort()){
+    const [y, m, d] = key.split("-").map(Number);
+    const date = new Date(y, m - 1, d);
+    run = prev && dayKey(addDays(prev, 1)) === key ? run + 1 : 1;
+    best = Math.max(best, run);
+    prev = date;
+  }
+
+  return { daily, weekly, bestDaily: best };
+}
+
+/**
+ * Session Log filter model.
+ * Mirrored into the URL hash (#log?q=…&cat=…) so a view can be bookmarked.
+ */
+const EMPTY_LOG_FILTER = {
+  q: "",
+  cat: "",
+  status: "",      // "" | "done" | "open"
+  diff: "",
+  mood: "",
+  from: "",        // YYYY-MM-DD (inclusive)
+  to: "",          // YYYY-MM-DD (inclusive)
+  sort: "newest",
+  totals: ""       // "filtered" -> hero chips count only the filtered subset
+};
+
+const LOG_SORTS = {
+  newest: (a, b) => String(b.ts || "").localeCompare(String(a.ts || "")),
+  oldest: (a, b) => String(a.ts || "").localeCompare(String(b.ts || "")),
+  xp:     (a, b, stepXP) => entryEarnedXP(b, stepXP) - entryEarnedXP(a, stepXP),
+  title:  (a, b) => String(a.title).localeCompare(String(b.title)),
+  diff:   (a, b) => difficultyRank(b.difficulty) - difficultyRank(a.difficulty)
+};
+
+const DIFFICULTIES = ["Easy", "Medium", "Hard", "Boss Fight"];
+const MOODS = ["😵‍💫", "😐", "🙂", "😈", "🧠✨"];
+const ENJOYED = ["Yes", "Neutral", "No"];
+
+function difficultyRank(d){
+  return DIFFICULTIES.indexOf(d) + 1; // 0 = unset
+}
+
+function parseLogFilter(hash){
+  const f = { ...EMPTY_LOG_FILTER };
+  const m = String(hash || "").match(/^#?log\?(.*)$/);
+  if(!m) return f;
+
+  const params = new URLSearchParams(m[1]);
+  for(const key of Object.keys(f)){
+    if(params.has(key)) f[key] = params.get(key);
+  }
+  if(!(f.sort in LOG_SORTS)) f.sort = EMPTY_LOG_FILTER.sort;
+
+  return f;
+}
+
+function logFilterToHash(f){
+  const params = new URLSearchParams();
+  for(const [key, val] of Object.entries(f)){
+    if(val && val !== EMPTY_LOG_FILTER[key]) params.set(key, val);
+  }
+  const qs = params.toString();
+  return qs ? `#log?${qs}` : "";
+}
+
+function isLogFilterActive(f){
+  return ["q", "cat", "status", "diff", "mood", "from", "to"].some(k => f[k]);
+}
+
+function filterLog(log, f, stepXP = false){
+  const q = f.q.trim().toLowerCase();
+
+  const out = log.filter(e => {
+    if(q){
+      const hay = `${e.challengeText || ""}\n${e.answerText || ""}\n${e.insightText || ""}`.toLowerCase();
+      if(!hay.includes(q)) return false;
+    }
+    if(f.cat && !(e.categories || []).includes(f.cat)) return false;
+    if(f.status === "done" && !e.completed) return false;
+    if(f.status === "open" && e.completed) return false;
+    if(f.diff && e.difficulty !== f.diff) return false;
+    if(f.mood && e.mood !== f.mood) return false;
+
+    if(f.from || f.to){
+      if(!e.ts) return false;
+      const day = dayKey(new Date(e.ts));
+      if(f.from && day < f.from) return false;
+      if(f.to && day > f.to) return false;
+    }
+
+    return true;
+  });
+
+  const sort = LOG_SORTS[f.sort] || LOG_SORTS.newest;
+  return out.sort((a, b) => sort(a, b, stepXP));
+}
+
+/* --- Analytics aggregates (metrics vs. outcomes) --- */
+const SLEEP_BUCKETS = [
+  { label: "< 6h",  test: (h) => h < 6 },
+  { label: "6–7h",  test: (h) => h >= 6 && h < 7 },
+  { label: "7–8h",  test: (h) => h >= 7 && h < 8 },
+  { label: "8h+",   test: (h) => h >= 8 }
+];
+
+const ANALYTICS_WEEKS = 8;
+
+function completionRow(label, entries){
+  const done = entries.filter(e => e.completed).length;
+  return { label, n: entries.length, value: entries.length ? done / entries.length : 0 };
+}
+
+function completionBySleep(log){
+  const withSleep = log.filter(e => e.sleepHrs !== "" && !Number.isNaN(Number(e.sleepHrs)));
+  const rows = SLEEP_BUCKETS.map(b => completionRow(b.label, withSleep.filter(e => b.test(Number(e.sleepHrs)))));
+  rows.push(completionRow("not logged", log.filter(e => !withSleep.includes(e))));
+  return rows;
+}
+
+function completionByEnjoyment(log){
+  const rows = ENJOYED.map(v => completionRow(v, log.filter(e => e.liked === v)));
+  rows.push(completionRow("not logged", log.filter(e => !ENJOYED.includes(e.liked))));
+  return rows;
+}
+
+/** Average difficulty (1 = Easy … 4 = Boss Fight) per category, hardest first. */
+function difficultyByCategory(log){
+  const acc = new Map();
+
+  for(const e of log){
+    const rank = difficultyRank(e.difficulty);
+    if(!rank) continue;
+    for(const c of e.categories || []){
+      const a = acc.get(c) || { sum: 0, n: 0 };
+      a.sum += rank;
+      a.n++;
+      acc.set(c, a);
+    }
+  }
+
+  return [...acc.entries()]
+    .map(([label, a]) => ({ label, n: a.n, value: a.sum / a.n }))
+    .sort((x, y) => y.value - x.value);
+}
+
+/** Mood counts per week (Monday start) for the last few weeks, oldest first. */
+function moodByWeek(log, weeks = ANALYTICS_WEEKS, today = DEFAULT_ENV.now()){
+  const first = addDays(weekStart(today), -7 * (weeks - 1));
+  const rows = Array.from({ length: weeks }, (_, i) => {
+    const start = addDays(first, 7 * i);
+    return { label: formatDay(start), key: dayKey(start), counts: {}, total: 0 };
+  });
+
+  for(const e of log){
+    if(!e.ts || !e.mood) continue;
+    const d = new Date(e.ts);
+    if(Number.isNaN(d.getTime())) continue;
+
+    const row = rows.find(r => r.key === dayKey(weekStart(d)));
+    if(!row) continue;
+    row.counts[e.mood] = (row.counts[e.mood] || 0) + 1;
+    row.total++;
+  }
+
+  return rows;
+}
+
+/**
+ * Skill selection policies for runSession().
+ * Each weighted policy mixes three 0..1 factors:
+ *   weak     – how low the baseline is
+ *   stale    – how overdue the skill is (days since trained vs. a review interval)
+ *   struggle – share of recent rolls left incomplete
+ */
+const SELECTION_POLICIES = {
+  uniform:  { label: "Uniform", mix: null },
+  weakness: { label: "Weakness-weighted", mix: { weak: 6, stale: 1, struggle: 1.5 } },
+  spaced:   { label: "Spaced repetition", mix: { weak: 1, stale: 3, struggle: 1 } }
+};
+
+const RECENT_ROLLS_WINDOW = 8;
+
+/**
+ * Review interval grows with the baseline: strong skills can wait longer.
+ * 0 -> 1 day, 10 -> 8 days.
+ */
+function reviewIntervalDays(baseline){
+  return 1 + clamp(Number(baseline) || 0, 0, 10) * 0.7;
+}
+
+function skillTrainingStats(log, category, now = DEFAULT_ENV.now().getTime()){
+  const rolls = log.filter(e => (e.categories || []).includes(category));
+  const lastDone = rolls.find(e => e.completed && e.ts);
+  const recent = rolls.slice(0, RECENT_ROLLS_WINDOW);
+
+  return {
+    daysSince: lastDone ? Math.max(0, (now - Date.parse(lastDone.ts)) / 86400000) : null,
+    completionRate: recent.length ? recent.filter(e => e.completed).length / recent.length : null,
+    recentRolls: recent.length
+  };
+}
+
+function skillWeight(st, category, policy, now = DEFAULT_ENV.now().getTime()){
+  const mix = SELECTION_POLICIES[policy]?.mix;
+  const baseline = Number(st.baselines[category]) || 0;
+  const stats = skillTrainingStats(st.log, category, now);
+
+  const weak = (10 - clamp(baseline, 0, 10)) / 10;
+  const overdue = stats.daysSince === null ? 3 : stats.daysSince / reviewIntervalDays(baseline);
+  const stale = clamp(overdue, 0, 3) / 3;
+  const struggle = stats.completionRate === null ? 0.5 : 1 - stats.completionRate;
+
+  const weight = mix
+    ? 0.1 + mix.weak * weak + mix.stale * stale + mix.struggle * struggle
+    : 1;
+
+  return { category, weight, baseline, stats, factors: { weak, stale, struggle } };
+}
+
+/**
+ * Weighted sample without replacement.
+ */
+function weightedSample(scored, count, rand = Math.random){
+  const pool = [...scored];
+  const out = [];
+
+  while(out.length < count && pool.length){
+    const total = pool.reduce((sum, s) => sum + s.weight, 0);
+    let r = rand() * total;
+    let i = 0;
+    while(i < pool.length - 1 && r >= pool[i].weight){
+      r -= pool[i].weight;
+      i++;
+    }
+    out.push(pool.splice(i, 1)[0]);
+  }
+
+  return out;
+}
+
+function explainPick(s, totalWeight, policy){
+  if(!SELECTION_POLICIES[policy]?.mix) return `${s.category}: uniform roll`;
+
+  const bits = [`baseline ${formatScore(s.baseline)}`];
+  bits.push(s.stats.daysSince === null ? "never completed" : `last trained ${Math.floor(s.stats.daysSince)}d ago`);
+  if(s.stats.completionRate !== null){
+    bits.push(`${Math.round(s.stats.completionRate * 100)}% of last ${s.stats.recentRolls} done`);
+  }
+
+  const share = Math.round((s.weight / totalWeight) * 100);
+  return `${s.category} (${share}% odds): ${bits.join(", ")}`;
+}
+
+/**
+ * Pick `count` categories under the active policy; `now` (ms) dates "days since trained".
+ * Returns { pick: [names], why: "…" }.
+ */
+function selectCategories(st, categories, count, rand = Math.random, now = DEFAULT_ENV.now().getTime()){
+  const policy = st.settings.selectionPolicy;
+  const scored = categories.map(c => skillWeight(st, c, policy, now));
+  const totalWeight = scored.reduce((sum, s) => sum + s.weight, 0);
+  const chosen = SELECTION_POLICIES[policy].mix
+    ? weightedSample(scored, count, rand)
+    : pickRandom(scored, count, rand);
+
+  return {
+    pick: chosen.map(s => s.category),
+    why: `${SELECTION_POLICIES[policy].label} • ` + chosen.map(s => explainPick(s, totalWeight, policy)).join(" | ")
+  };
+}
+
+/* --- Progression (levels, ranks, achievements) --- */
+const LEVEL_BASE_XP = 50;
+
+// Highest rank whose minLevel you've reached
+const RANKS = [
+  { minLevel: 1, name: "Neuron Novice" },
+  { minLevel: 3, name: "Synapse Scout" },
+  { minLevel: 6, name: "Cortex Cadet" },
+  { minLevel: 10, name: "Pattern Adept" },
+  { minLevel: 15, name: "Neural Architect" },
+  { minLevel: 22, name: "Mind Forger" },
+  { minLevel: 30, name: "Grandmaster of Gray Matter" }
+];
+
+/** Total XP needed to reach `level` (level 1 = 0 XP). Slightly steeper each level. */
+function xpForLevel(level){
+  return Math.round(LEVEL_BASE_XP * Math.pow(level - 1, 1.5));
+}
+
+function levelInfo(xp){
+  let level = 1;
+  while(xpForLevel(level + 1) <= xp) level++;
+
+  const floor = xpForLevel(level);
+  const next = xpForLevel(level + 1);
+  const rank = RANKS.filter(r => level >= r.minLevel).pop();
+
+  return { level, rank: rank.name, xp, floor, next, progress: (xp - floor) / (next - floor) };
+}
+
+/**
+ * Earned XP per skill: each entry's earned XP is split evenly across its categories.
+ * Returns { [skill]: { xp, sessions } } (sessions = completed entries touching it).
+ */
+function skillXP(log, stepXP = false){
+  const out = {};
+
+  for(const e of log){
+    const cats = e.categories || [];
+    const earned = entryEarnedXP(e, stepXP);
+    if((!e.completed && !earned) || !cats.length) continue;
+
+    for(const c of cats){
+      const s = (out[c] ||= { xp: 0, sessions: 0 });
+      s.xp += earned / cats.length;
+      if(e.completed) s.sessions++;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * test(p) runs after every completed entry, oldest first, against running totals.
+ * The entry that first makes it pass dates the unlock, so nothing is stored:
+ * un-completing or deleting that entry re-locks (or re-dates) the achievement.
+ */
+const ACHIEVEMENTS = [
+  { id: "first_session", icon: "🌱", name: "First Spark", desc: "Complete your first session", test: (p) => p.completed >= 1 },
+  { id: "boss_fight", icon: "🐉", name: "Boss Slayer", desc: "Complete a Boss Fight", test: (p) => p.bossFights >= 1 },
+  { id: "perfect_drill", icon: "🎯", name: "Flawless", desc: "Get every item right in a local drill", test: (p) => p.perfectDrills >= 1 },
+  { id: "streak_7", icon: "🔥", name: "Seven Straight", desc: "Complete a session 7 days in a row", test: (p) => p.bestRun >= 7 },
+  { id: "streak_30", icon: "🌋", name: "Iron Habit", desc: "Complete a session 30 days in a row", test: (p) => p.bestRun >= 30 },
+  { id: "sessions_50", icon: "📚", name: "Fifty Reps", desc: "Complete 50 sessions", test: (p) => p.completed >= 50 },
+  { id: "xp_500", icon: "⚡", name: "Charged Up", desc: "Earn 500 XP", test: (p) => p.xp >= 500 },
+  { id: "all_trained", icon: "🧭", name: "Well-Rounded", desc: "Complete a session in every active skill", test: (p) => p.skills.length > 0 && p.skills.every(s => p.trained.has(s)) },
+  { id: "all_retested", icon: "🔁", name: "Full Recalibration", desc: "Re-test every active skill", test: (p) => p.skills.length > 0 && p.skills.every(s => p.retested.has(s)) }
+];
+
+function calcAchievements(st){
+  const p = {
+    completed: 0,
+    xp: 0,
+    bossFights: 0,
+    perfectDrills: 0,
+    run: 0,
+    bestRun: 0,
+    lastDay: "",
+    trained: new Set(),
+    retested: new Set(),
+    skills: activeSkillNames(st)
+  };
+  const unlocked = {};
+
+  for(const e of sortLogNewestFirst(st.log).reverse()){
+    if(!e.completed) continue;
+
+    const d = new Date(e.ts);
+    const day = Number.isNaN(d.getTime()) ? "" : dayKey(d);
+    if(day && day !== p.lastDay){
+      p.run = p.lastDay && dayKey(addDays(d, -1)) === p.lastDay ? p.run + 1 : 1;
+      p.bestRun = Math.max(p.bestRun, p.run);
+      p.lastDay = day;
+    }
+
+    p.completed++;
+    p.xp += entryEarnedXP(e, st.settings.stepXP);
+    if(e.difficulty === "Boss Fight") p.bossFights++;
+    if(e.drillResult && e.drillResult.total && e.drillResult.correct === e.drillResult.total) p.perfectDrills++;
+    for(const c of e.categories || []){
+      p.trained.add(c);
+      if(e.kind === "retest") p.retested.add(c);
+    }
+
+    for(const a of ACHIEVEMENTS){
+      if(!unlocked[a.id] && a.test(p)) unlocked[a.id] = e.ts;
+    }
+  }
+
+  return ACHIEVEMENTS.map(a => ({ ...a, at: unlocked[a.id] || null }));
+}
+
+/* ---------------------------------------------------------
+  05) ACTIONS (mutate a state in place; the caller persists it)
+--------------------------------------------------------- */
+
+/** Prepend a new (open) entry to st.log and return it. */
+function addLogEntry(st, { title, categories, xpPotential, challengeText = "", drill = null, why = "", mode = null }, env = DEFAULT_ENV){
+  const { uuid, now } = resolveEnv(env);
+  const at = now();
+  const ts = at.toISOString();
+  const entry = {
+    id: uuid(),
+    ts,
+    updatedAt: ts,
+    time: nowStamp(at),
+    title,
+    categories,
+    xpPotential: Number(xpPotential || 0),
+    completed: false,
+
+    mood: "",
+    sleepHrs: "",
+    difficulty: "",
+    liked: "",
+    challengeText,
+    answerText: "",
+    insightText: "" // NEW
+  };
+
+  // Answer key for locally generated drills (kept out of challengeText)
+  if(drill) entry.drill = { seed: drill.seed, items: drill.items };
+  if(why) entry.why = why;
+
+  // Title + XP are copied above, so editing the mode later never rewrites history
+  if(mode){
+    entry.mode = mode.id;
+    if(mode.timeLimitMin) entry.timeLimitMin = mode.timeLimitMin;
+  }
+
+  st.log.unshift(entry);
+  return entry;
+}
+
+/**
+ * Roll a session for `mode`: its fixed skills plus a policy pick for the rest,
+ * with a seeded local drill for any skill that has a generator.
+ */
+function rollSession(st, mode, env = DEFAULT_ENV){
+  const { random, now } = resolveEnv(env);
+  const categories = activeSkillNames(st);
+  // Fixed categories that were archived or deleted since the mode was saved are skipped
+  const fixed = mode.fixed.filter(c => categories.includes(c));
+  const rolled = selectCategories(
+    st,
+    categories.filter(c => !fixed.includes(c)),
+    Math.max(0, mode.count - fixed.length),
+    random,
+    now().getTime()
+  );
+  const pick = [...fixed, ...rolled.pick];
+  const why = fixed.length
+    ? `Fixed by mode: ${fixed.join(", ")}` + (rolled.pick.length ? ` • ${rolled.why}` : "")
+    : rolled.why;
+
+  st.todayFocus = pick.join(" • ");
+
+  const drill = generateDrill(pick, newSeed(random), (c) => st.skills[c]?.drill || "");
+
+  return addLogEntry(st, {
+    title: mode.name,
+    categories: pick,
+    xpPotential: mode.xp,
+    challengeText: drill ? drill.text : "",
+    drill,
+    why,
+    mode
+  }, env);
+}
+
+/**
+ * Log a completed re-test of `category` (score clamped to 0–10);
+ * with `overwrite` the score also becomes the new baseline.
+ */
+function recordRetest(st, category, score, overwrite, env = DEFAULT_ENV){
+  const next = clamp(Number(score), 0, 10);
+  const old = Number(st.baselines[category]);
+
+  if(overwrite){
+    st.baselines[category] = next;
+    recordBaseline(st, category, next, "retest", env);
+  }
+
+  const entry = addLogEntry(st, {
+    title: "Re-test",
+    categories: [category],
+    xpPotential: 6
+  }, env);
+
+  entry.kind = "retest";
+  entry.answerText =
+    `Re-test score: ${formatScore(next)} / 10 (was ${formatScore(old)}). ` +
+    (overwrite ? "Baseline updated." : "Baseline unchanged.");
+  entry.completed = true;
+
+  return entry;
+}
+
+/* --- Log entries --- */
+
+/** Fields the console + edit dialog write; everything else on an entry is the app's. */
+const ENTRY_EDIT_FIELDS = ["challengeText", "answerText", "insightText", "mood", "sleepHrs", "difficulty", "liked", "completed"];
+
+/**
+ * Write edited fields to one entry. A new challenge re-parses its Training Pack
+ * steps; `steps` (the console's checks + answers) carry over onto them.
+ * Returns the entry, or null when it no longer exists.
+ */
+function updateLogEntry(st, id, fields){
+  const entry = st.log.find(e => e.id === id);
+  if(!entry) return null;
+
+  for(const k of ENTRY_EDIT_FIELDS){
+    if(k in fields) entry[k] = fields[k];
+  }
+  if("challengeText" in fields) syncEntrySteps(entry, fields.steps || entry.steps || []);
+  return entry;
+}
+
+function setEntryCompleted(st, id, done){
+  const entry = st.log.find(e => e.id === id);
+  if(entry) entry.completed = !!done;
+  return entry || null;
+}
+
+/** Check or uncheck Training Pack step `n`; returns the step (null if missing). */
+function setStepDone(st, id, n, done){
+  const step = st.log.find(e => e.id === id)?.steps?.find(s => s.n === Number(n));
+  if(step) step.done = !!done;
+  return step || null;
+}
+
+/** Store a finished drill run (see summarizeDrill()); the session counts as completed. */
+function recordDrillResult(st, id, results, env = DEFAULT_ENV){
+  const entry = st.log.find(e => e.id === id);
+  if(!entry) return null;
+
+  entry.drillResult = summarizeDrill(results, env);
+  entry.completed = true;
+  return entry;
+}
+
+/** Remove one entry; returns it (null if it was already gone). */
+function deleteLogEntry(st, id){
+  const i = st.log.findIndex(e => e.id === id);
+  return i < 0 ? null : st.log.splice(i, 1)[0];
+}
+
+/** Empty the log; returns the removed entries. */
+function clearLog(st){
+  const removed = st.log;
+  st.log = [];
+  return removed;
+}
+
+/** Swap in a whole new state (an import, a reset) while keeping the same object. */
+function replaceState(st, next){
+  for(const k of Object.keys(st)) delete st[k];
+  return Object.assign(st, next);
+}
+
+/**
+ * Reset the log and/or the skill set (baselines, notes, metadata) to the defaults,
+ * or with `everything` the whole state.
+ */
+function resetState(st, { log = false, baselines = false, everything = false }, env = DEFAULT_ENV){
+  if(everything) return replaceState(st, normalizeState({}, "reset", env));
+
+  if(log) st.log = [];
+
+  if(baselines){
+    st.baselines = structuredCloneSafe(DEFAULT_STATE.baselines);
+    st.notes = structuredCloneSafe(DEFAULT_STATE.notes);
+    st.skills = {};
+    reconcileSkills(st, env);
+    syncBaselineHistory(st, "reset", env);
+  }
+  return st;
+}
+
+/* --- Skills, baselines + modes --- */
+
+/** Replace the training modes (new ones may leave `id` empty). */
+function setModes(st, modes, env = DEFAULT_ENV){
+  st.modes = normalizeModes(modes, env);
+}
+
+/**
+ * Check a { skill: score } map from the baseline editor.
+ * Returns it with scores clamped to 0–10; throws on anything else.
+ */
+function parseBaselineScores(obj){
+  if(!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error("Expected an object of { skill: score }.");
+
+  const scores = {};
+  for(const [k, v] of Object.entries(obj)){
+    const num = Number(v);
+    if(Number.isNaN(num)) throw new Error("Non-number score found.");
+    scores[k] = clamp(num, 0, 10);
+  }
+  return scores;
+}
+
+/**
+ * Replace the baselines wholesale (see parseBaselineScores()). Skills missing
+ * from `scores` are deleted; their log history stays.
+ */
+function setBaselines(st, scores, env = DEFAULT_ENV){
+  st.baselines = { ...scores };
+  reconcileSkills(st, env);
+  syncBaselineHistory(st, "edit", env);
+}
+
+/**
+ * Check a Manage Skills edit before applying it.
+ * rows: [{ orig, name, description, color, archived }] (one per existing skill),
+ * added: { name, score, description, color } or null.
+ * Returns a list of problems (empty = OK).
+ */
+function validateSkillEdits(rows, added){
+  const names = [...rows.map(r => r.name), ...(added ? [added.name] : [])];
+  const errors = [];
+  if(names.some(n => !n)) errors.push("Skill names can't be empty.");
+  if(new Set(names).size !== names.length) errors.push("Skill names must be unique.");
+  return errors;
+}
+
+/**
+ * Apply a Manage Skills edit (see validateSkillEdits()): renames everywhere,
+ * metadata, and an optional new skill. Returns the renames as [{ from, to }].
+ */
+function updateSkills(st, rows, added, env = DEFAULT_ENV){
+  // Two passes through temporary names so swaps (A↔B) can't collide
+  const renamed = rows.filter(r => r.name !== r.orig);
+  renamed.forEach((r, i) => renameSkill(st, r.orig, `__rename_${i}__`));
+  renamed.forEach((r, i) => renameSkill(st, `__rename_${i}__`, r.name));
+
+  for(const r of rows){
+    Object.assign(st.skills[r.name], {
+      description: r.description,
+      color: r.color,
+      archived: r.archived
+    });
+  }
+
+  if(added){
+    const score = Number(added.score);
+    st.baselines[added.name] = Number.isNaN(score) ? 5 : clamp(score, 0, 10);
+    st.notes[added.name] = "";
+    reconcileSkills(st, env);
+    Object.assign(st.skills[added.name], {
+      description: added.description || "",
+      color: added.color || ""
+    });
+    syncBaselineHistory(st, "edit", env);
+  }
+
+  return renamed.map(r => ({ from: r.orig, to: r.name }));
+}
+
+/* --- Undo patches ---
+   recordChange() runs an action and returns plain-data patches that reverse and
+   replay it: only the entries it touched (by id, field by field) and the top-level
+   maps it rewrote. applyPatch() applies one to the state as it is *now*, so undoing
+   never rolls back anything done since. */
+
+/** Top-level state maps an action can rewrite (the log is patched per entry). */
+const STATE_KEYS = ["baselines", "notes", "skills", "baselineHistory", "settings", "modes", "todayFocus"];
+
+/**
+ * Run `mutate(st)` and diff what it changed within `scope`:
+ *   ids  = entry ids it may change or remove, or "all" (also catches added entries)
+ *   keys = STATE_KEYS it may rewrite
+ * Returns { result, undo, redo }.
+ */
+function recordChange(st, { ids = [], keys = [] }, mutate){
+  const wanted = ids === "all" ? null : new Set(ids);
+  const take = () => ({
+    entries: new Map(st.log.flatMap((e, index) => !wanted || wanted.has(e.id)
+      ? [[e.id, { index, after: index ? st.log[index - 1].id : null, json: JSON.stringify(e) }]]
+      : [])),
+    keys: Object.fromEntries(keys.map(k => [k, JSON.stringify(st[k] ?? null)]))
+  });
+
+  const before = take();
+  const result = mutate(st);
+  const after = take();
+
+  return { result, undo: diffPatch(after, before, keys), redo: diffPatch(before, after, keys) };
+}
+
+/** Patch that turns the `from` capture into the `to` one (see recordChange()). */
+function diffPatch(from, to, keys){
+  const patch = { remove: [], put: [], set: [], fields: {} };
+
+  for(const id of from.entries.keys()){
+    if(!to.entries.has(id)) patch.remove.push(id);
+  }
+
+  for(const [id, { index, after, json }] of to.entries){
+    const was = from.entries.get(id);
+    if(!was){
+      patch.put.push({ index, after, entry: JSON.parse(json) });
+      continue;
+    }
+    if(was.json === json) continue;
+
+    // Only the fields that differ, so later edits to the rest of the entry survive
+    const a = JSON.parse(was.json);
+    const b = JSON.parse(json);
+    const fields = {};
+    for(const k of Object.keys(b)){
+      if(!sameJson(a[k], b[k])) fields[k] = b[k];
+    }
+    patch.set.push({ id, fields, unset: Object.keys(a).filter(k => !(k in b)) });
+  }
+
+  for(const k of keys){
+    if(from.keys[k] !== to.keys[k]) patch.fields[k] = JSON.parse(to.keys[k]);
+  }
+  return patch;
+}
+
+function isEmptyPatch(patch){
+  return !patch.remove.length && !patch.put.length && !patch.set.length && !Object.keys(patch.fields).length;
+}
+
+/**
+ * Apply a recordChange() patch to `st` as it is now. Entries deleted since are
+ * left alone; re-added ones go back after the entry they used to follow.
+ */
+function applyPatch(st, patch){
+  const drop = new Set(patch.remove);
+  if(drop.size) st.log = st.log.filter(e => !drop.has(e.id));
+
+  const byId = new Map(patch.set.length ? st.log.map(e => [e.id, e]) : []);
+  for(const { id, fields, unset } of patch.set){
+    const entry = byId.get(id);
+    if(!entry) continue;
+    Object.assign(entry, structuredCloneSafe(fields));
+    for(const k of unset) delete entry[k];
+  }
+
+  // Lowest index first, so a whole restored log lands back in its old order
+  for(const { index, after, entry } of [...patch.put].sort((a, b) => a.index - b.index)){
+    const copy = structuredCloneSafe(entry);
+    const i = st.log.findIndex(e => e.id === copy.id);
+    if(i >= 0){
+      st.log[i] = copy;
+      continue;
+    }
+    const prev = after === null ? -1 : st.log.findIndex(e => e.id === after);
+    st.log.splice(prev >= 0 || after === null ? prev + 1 : Math.min(index, st.log.length), 0, copy);
+  }
+
+  for(const [k, v] of Object.entries(patch.fields)) st[k] = structuredCloneSafe(v);
+  return st;
+}
+
+/* ---------------------------------------------------------
+  06) TEXT EXPORT (clipboard, CSV, Markdown journal)
+--------------------------------------------------------- */
+
+/**
+ * Pair each parsed step (title/body) with the entry's saved answer + check.
+ */
+function entryPackSteps(e){
+  const parsed = parsePackSteps(e.challengeText);
+  if(!parsed || !e.steps?.length) return null;
+
+  return {
+    intro: parsed.intro,
+    steps: parsed.steps.map(s => ({ ...s, ...(e.steps.find(x => x.n === s.n) || { answer: "", done: false }) }))
+  };
+}
+
+function packToText(e){
+  const pack = entryPackSteps(e);
+  return [
+    pack.intro,
+    ...pack.steps.map(s => [
+      `${s.done ? "[x]" : "[ ]"} Step ${s.n}) ${s.title}`,
+      s.body,
+      s.answer ? `Answer:\n${s.answer}` : ""
+    ].filter(Boolean).join("\n"))
+  ].filter(Boolean).join("\n\n");
+}
+
+/**
+ * Convert one entry into a nice clipboard-friendly text block
+ */
+function entryToClipboardText(e, stepXP = false){
+  const cats = (e.categories || []).join(", ");
+  const earned = entryEarnedXP(e, stepXP);
+  const r = e.drillResult;
+
+  const lines = [
+    `${e.title}`,
+    `${entryStamp(e)}`,
+    `Rolled: ${cats}`,
+    `Completed: ${e.completed ? "Yes" : "No"}`,
+    `XP: ${earned} / ${Number(e.xpPotential) || 0}`,
+    r ? `Drill: ${r.correct}/${r.total} correct • median ${formatMs(r.medianMs)}` : "",
+    e.timeLimitMin ? `Time limit: ${e.timeLimitMin} min` : "",
+    e.mood ? `Mood: ${e.mood}` : "",
+    e.sleepHrs !== "" ? `Sleep: ${e.sleepHrs} hrs` : "",
+    e.difficulty ? `Difficulty: ${e.difficulty}` : "",
+    e.liked ? `Enjoyed: ${e.liked}` : "",
+    e.steps?.length ? `\nChallenge (${stepProgress(e.steps)}):\n${packToText(e)}` :
+      e.challengeText ? `\nChallenge:\n${e.challengeText}` : "",
+    e.answerText ? `\nAnswers / Notes:\n${e.answerText}` : "",
+    e.insightText ? `\nInsights:\n${e.insightText}` : ""
+  ].filter(Boolean);
+
+  return lines.join("\n");
+}
+
+/* --- CSV / Markdown journal export --- */
+const CSV_COLUMNS = [
+  ["id", (e) => e.id],
+  ["timestamp", (e) => e.ts || ""],
+  ["local_time", (e) => entryStamp(e)],
+  ["title", (e) => e.title],
+  ["categories", (e) => (e.categories || []).join("; ")],
+  ["completed", (e) => e.completed ? "yes" : "no"],
+  ["xp_potential", (e) => Number(e.xpPotential) || 0],
+  ["xp_earned", (e, stepXP) => entryEarnedXP(e, stepXP)],
+  ["mood", (e) => e.mood || ""],
+  ["sleep_hrs", (e) => e.sleepHrs ?? ""],
+  ["difficulty", (e) => e.difficulty || ""],
+  ["enjoyed", (e) => e.liked || ""],
+  ["drill_correct", (e) => e.drillResult ? e.drillResult.correct : ""],
+  ["drill_total", (e) => e.drillResult ? e.drillResult.total : ""],
+  ["drill_median_ms", (e) => e.drillResult ? e.drillResult.medianMs : ""],
+  ["steps_done", (e) => e.steps ? e.steps.filter(s => s.done).length : ""],
+  ["steps_total", (e) => e.steps ? e.steps.length : ""],
+  ["time_limit_min", (e) => e.timeLimitMin || ""],
+  ["challenge", (e) => e.challengeText || ""],
+  ["answer", (e) => e.answerText || ""],
+  ["insight", (e) => e.insightText || ""]
+];
+
+function csvField(v){
+  if(typeof v === "number") return String(v);
+
+  let s = String(v ?? "");
+  // Spreadsheets run cells starting with = + - @ as formulas; keep pasted text inert
+  if(/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+function logToCsv(entries, stepXP = false){
+  const rows = [
+    CSV_COLUMNS.map(([name]) => name),
+    ...entries.map(e => CSV_COLUMNS.map(([, get]) => get(e, stepXP)))
+  ];
+  // BOM so Excel reads the emoji as UTF-8
+  return "\ufeff" + rows.map(r => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+function logToMarkdown(entries, sel, profileName, stepXP = false){
+  const scope = [
+    sel.from || sel.to ? `${sel.from || "start"} → ${sel.to || "today"}` : "All dates",
+    sel.cat || "all skills",
+    sel.completedOnly ? "completed only" : ""
+  ].filter(Boolean).join(" • ");
+
+  const header = [
+    `# NeuroForge Journal — ${profileName}`,
+    `${scope} • ${entries.length} ${entries.length === 1 ? "entry" : "entries"} • ${calcXP(entries, stepXP)} XP`
+  ].join("\n\n");
+
+  return [
+    header,
+    ...entries.map(e => {
+      const [title, ...rest] = entryToClipboardText(e, stepXP).split("\n");
+      return `## ${title}\n\n${rest.join("\n")}`;
+    })
+  ].join("\n\n---\n\n") + "\n";
+}
+
+/* ---------------------------------------------------------
+  07) DRILL ENGINE (seeded local challenge generators)
+--------------------------------------------------------- */
+
+/**
+ * mulberry32: small seeded PRNG.
+ * Same seed -> same sequence, so a drill roll can be reproduced.
+ */
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return function(){
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(str){
+  let h = 2166136261;
+  for(const ch of String(str)){
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function newSeed(rand = Math.random){
+  return Math.floor(rand() * 4294967296) >>> 0;
+}
+
+function rngInt(rng, min, max){
+  return min + Math.floor(rng() * (max - min + 1));
+}
+
+function rngPick(rng, arr){
+  return arr[Math.floor(rng() * arr.length)];
+}
+
+function mathItem(rng){
+  const kind = rngPick(rng, ["add", "sub", "mul", "div", "pct"]);
+
+  if(kind === "add"){
+    const a = rngInt(rng, 27, 489), b = rngInt(rng, 18, 376);
+    return { prompt: `${a} + ${b} = ?`, answer: String(a + b) };
+  }
+  if(kind === "sub"){
+    const a = rngInt(rng, 120, 900), b = rngInt(rng, 17, a - 1);
+    return { prompt: `${a} − ${b} = ?`, answer: String(a - b) };
+  }
+  if(kind === "mul"){
+    const a = rngInt(rng, 12, 49), b = rngInt(rng, 3, 12);
+    return { prompt: `${a} × ${b} = ?`, answer: String(a * b) };
+  }
+  if(kind === "div"){
+    const b = rngInt(rng, 3, 12), q = rngInt(rng, 6, 40);
+    return { prompt: `${b * q} ÷ ${b} = ?`, answer: String(q) };
+  }
+
+  const pct = rngPick(rng, [5, 10, 15, 20, 25, 40, 75]);
+  const base = rngInt(rng, 2, 24) * 20;
+  return { prompt: `${pct}% of ${base} = ?`, answer: String((pct * base) / 100) };
+}
+
+const SPAN_LETTERS = "BCDFGHJKLMNPRSTVWXZ";
+
+function spanItem(rng){
+  const kind = rngPick(rng, ["digits-forward", "digits-backward", "letters-forward"]);
+  const len = rngInt(rng, 5, 7);
+  const seq = [];
+
+  for(let i = 0; i < len; i++){
+    seq.push(kind.startsWith("letters") ? rngPick(rng, [...SPAN_LETTERS]) : String(rngInt(rng, 0, 9)));
+  }
+
+  const backward = kind.endsWith("backward");
+  return {
+    prompt: `Memorize, cover, then type ${backward ? "in REVERSE" : "in order"}: ${seq.join(" ")}`,
+    answer: (backward ? [...seq].reverse() : seq).join(""),
+    memorize: seq.join(" "),
+    ask: `Type the sequence ${backward ? "in REVERSE" : "in order"} (no spaces).`
+  };
+}
+
+const PATTERN_SYMBOLS = ["▲", "●", "■", "◆", "★", "✚"];
+
+function patternItem(rng){
+  const kind = rngPick(rng, ["arith", "geom", "alt", "squares", "fib", "symbols"]);
+
+  if(kind === "symbols"){
+    const period = rngInt(rng, 2, 4);
+    const unit = [];
+    while(unit.length < period){
+      const sym = rngPick(rng, PATTERN_SYMBOLS);
+      if(!unit.includes(sym)) unit.push(sym);
+    }
+    const shown = rngInt(rng, period * 2, period * 2 + 2);
+    const seq = Array.from({ length: shown }, (_, i) => unit[i % period]);
+    return {
+      prompt: `Next symbol: ${seq.join(" ")} ?`,
+      answer: unit[shown % period],
+      choices: [...PATTERN_SYMBOLS]
+    };
+  }
+
+  let seq;
+  if(kind === "arith"){
+    const a = rngInt(rng, 1, 30), d = rngPick(rng, [-7, -4, -3, 3, 4, 6, 7, 9, 11]);
+    seq = Array.from({ length: 6 }, (_, i) => a + d * i);
+  }else if(kind === "geom"){
+    const a = rngInt(rng, 1, 5), r = rngPick(rng, [2, 3]);
+    seq = Array.from({ length: 6 }, (_, i) => a * r ** i);
+  }else if(kind === "alt"){
+    const a = rngInt(rng, 1, 20), p = rngInt(rng, 2, 9), q = rngInt(rng, 1, 5);
+    seq = [a];
+    for(let i = 1; i < 6; i++) seq.push(seq[i - 1] + (i % 2 ? p : -q));
+  }else if(kind === "squares"){
+    const start = rngInt(rng, 1, 8);
+    seq = Array.from({ length: 6 }, (_, i) => (start + i) ** 2);
+  }else{
+    const a = rngInt(rng, 1, 5), b = rngInt(rng, 2, 7);
+    seq = [a, b];
+    while(seq.length < 6) seq.push(seq[seq.length - 1] + seq[seq.length - 2]);
+  }
+
+  const answer = seq.pop();
+  return { prompt: `Next number: ${seq.join(", ")}, ?`, answer: String(answer) };
+}
+
+const LOGIC_TERMS = ["blickets", "daxes", "wugs", "florps", "zorbs", "grelks", "snibs", "quarns"];
+
+// [premise 1, premise 2, question, valid?] with A/B/C placeholders
+const SYLLOGISMS = [
+  ["All A are B.", "All B are C.", "Must all A be C?", true],
+  ["All A are B.", "Some B are C.", "Must some A be C?", false],
+  ["Some A are B.", "All B are C.", "Must some A be C?", true],
+  ["No A are B.", "All C are B.", "Must no C be A?", true],
+  ["All A are B.", "No C are B.", "Must no A be C?", true],
+  ["Some A are B.", "Some B are C.", "Must some A be C?", false],
+  ["All A are B.", "All C are B.", "Must all A be C?", false],
+  ["No A are B.", "Some C are A.", "Must some C not be B?", true],
+  ["Some A are not B.", "All C are B.", "Must some A not be C?", true],
+  ["All B are A.", "Some C are not A.", "Must some C not be B?", true],
+  ["All A are B.", "Some C are not A.", "Must some C not be B?", false]
+];
+
+function logicItem(rng){
+  const terms = [];
+  while(terms.length < 3){
+    const t = rngPick(rng, LOGIC_TERMS);
+    if(!terms.includes(t)) terms.push(t);
+  }
+
+  const [p1, p2, q, valid] = rngPick(rng, SYLLOGISMS);
+  const fill = (s) => s.replace(/\b[ABC]\b/g, (m) => terms["ABC".indexOf(m)]);
+
+  return {
+    prompt: `${fill(p1)} ${fill(p2)} ${fill(q)} (yes/no)`,
+    answer: valid ? "yes" : "no",
+    choices: ["yes", "no"]
+  };
+}
+
+/**
+ * Generators keyed by category name.
+ * Each returns { intro, items: [{ prompt, answer }] } from a seeded rng.
+ */
+const DRILL_GENERATORS = {
+  "Quick Math": (rng) => ({
+    intro: "Mental arithmetic. No paper. Answer with a number.",
+    items: Array.from({ length: 6 }, () => mathItem(rng))
+  }),
+  "Working Memory": (rng) => ({
+    intro: "Read each sequence once, look away, then type it back (no spaces).",
+    items: Array.from({ length: 4 }, () => spanItem(rng))
+  }),
+  "Pattern Recognition": (rng) => ({
+    intro: "Find the rule, give the next term.",
+    items: Array.from({ length: 5 }, () => patternItem(rng))
+  }),
+  "Logic & Reasoning": (rng) => ({
+    intro: "Does the conclusion NECESSARILY follow? Watch the overlap trap.",
+    items: Array.from({ length: 4 }, () => logicItem(rng))
+  })
+};
+
+function hasDrillGenerator(generatorId){
+  return typeof DRILL_GENERATORS[generatorId] === "function";
+}
+
+/**
+ * Build a drill for every category that has a generator.
+ * Each category gets its own sub-seed, so the same seed reproduces
+ * the same items no matter which other categories were rolled with it.
+ * `generatorFor` maps a category to its generator id (renamed skills keep theirs).
+ * Returns null when none of the categories are generatable.
+ */
+function generateDrill(categories, seed = newSeed(), generatorFor = (c) => c){
+  const sections = categories
+    .filter(c => hasDrillGenerator(generatorFor(c)))
+    .map(category => {
+      const id = generatorFor(category);
+      const rng = mulberry32(hashString(`${seed}:${id}`));
+      return { category, ...DRILL_GENERATORS[id](rng) };
+    });
+
+  if(!sections.length) return null;
+
+  const text = [
+    `🎲 Local drill • seed ${seed}`,
+    ...sections.map(sec => [
+      "",
+      `## ${sec.category}`,
+      sec.intro,
+      ...sec.items.map((it, i) => `${i + 1}) ${it.prompt}`)
+    ].join("\n"))
+  ].join("\n");
+
+  const items = sections.flatMap(sec => sec.items.map(it => ({ category: sec.category, ...it })));
+
+  return { seed, text, items };
+}
+
+function normalizeAnswer(str){
+  return String(str ?? "").trim().toLowerCase().replace(/[\s,]+/g, "");
+}
+
+function gradeAnswer(given, expected){
+  const g = normalizeAnswer(given);
+  const x = normalizeAnswer(expected);
+  if(!g) return false;
+
+  if(x === "yes" || x === "no") return g[0] === x[0];
+
+  const gn = Number(g.replace(/−/g, "-"));
+  const xn = Number(x);
+  if(x !== "" && !Number.isNaN(xn) && !Number.isNaN(gn)) return Math.abs(gn - xn) < 1e-9;
+
+  return g === x;
+}
+
+function median(nums){
+  if(!nums.length) return 0;
+  const a = [...nums].sort((x, y) => x - y);
+  const mid = Math.floor(a.length / 2);
+  return a.length % 2 ? a[mid] : (a[mid - 1] + a[mid]) / 2;
+}
+
+function summarizeDrill(results, env = DEFAULT_ENV){
+  const correct = results.filter(r => r.correct).length;
+  return {
+    at: resolveEnv(env).now().toISOString(),
+    items: results,
+    correct,
+    total: results.length,
+    medianMs: Math.round(median(results.map(r => r.ms)))
+  };
+}
+
+/* ---------------------------------------------------------
+  08) STORAGE ADAPTER
+--------------------------------------------------------- */
+
+/* Backends share one async interface (app.js adds IndexedDB + localStorage):
+     loadRaw()            -> stored blob as a JSON string (log included) or null
+     save(snapshot, ids)  -> writes only what changed since the last load/save;
+                             `ids` (a Set, or null = any) names the only entries that
+                             may have changed, so per-entry backends can skip the rest;
+                             throws StaleRevisionError if another writer saved in between
+     revision()           -> revision as of the last load/save
+     readRevision()       -> revision currently in storage (bumped by every write)
+     putBackup(key, raw)  /  getBackup(key)
+     estimate()           -> { usage, quota } or null
+*/
+function staleRevisionError(stored, expected){
+  const err = new Error(`Stored data is at revision ${stored}, but this tab last saw ${expected}`);
+  err.name = "StaleRevisionError";
+  return err;
+}
+
+/** What gets persisted / exported: always stamped with the current schema. */
+function snapshotOf(st){
+  return { ...st, schemaVersion: SCHEMA_VERSION };
+}
+
+/**
+ * The data as last loaded/saved, one JSON string per entry: the common base
+ * for merging in another writer's changes. remember() re-serializes only the
+ * entries in `ids` (null = all); snapshot() rebuilds the data when a merge needs it.
+ */
+function createSavedCopy(){
+  let meta = "{}";
+  let entries = new Map(); // id -> JSON, in log order
+
+  return {
+    remember(snapshot, ids = null){
+      const { log, ...rest } = snapshot;
+      const next = new Map();
+      for(const e of log){
+        const json = ids && !ids.has(e.id) ? entries.get(e.id) : undefined;
+        next.set(e.id, json ?? JSON.stringify(e));
+      }
+      meta = JSON.stringify(rest);
+      entries = next;
+    },
+
+    /** True when `snapshot` holds anything this copy doesn't. */
+    differs(snapshot){
+      const { log, ...rest } = snapshot;
+      if(JSON.stringify(rest) !== meta || log.length !== entries.size) return true;
+
+      let i = 0;
+      for(const [id, json] of entries){
+        const e = log[i++];
+        if(e.id !== id || JSON.stringify(e) !== json) return true;
+      }
+      return false;
+    },
+
+    snapshot(){
+      return { ...JSON.parse(meta), log: [...entries.values()].map(json => JSON.parse(json)) };
+    }
+  };
+}
+
+/**
+ * Load + migrate through a backend. The untouched blob is kept as a backup
+ * before any migration step runs.
+ * Returns { state, migration, blocked }:
+ *   migration = { from, to, key } when the data was upgraded, else null
+ *   blocked   = { raw, error } when it couldn't be read; `state` is then a fresh
+ *               default and the caller must not save over the original
+ */
+async function loadStateFrom(storage){
+  let raw = null;
+
+  try{
+    raw = await storage.loadRaw();
+    if(!raw) return { state: normalizeState({}), migration: null, blocked: null };
+
+    const parsed = JSON.parse(raw);
+    const from = schemaVersionOf(parsed);
+
+    // Snapshot the untouched blob before any migration step runs
+    if(from < SCHEMA_VERSION){
+      await storage.putBackup(backupKey(from), raw);
+    }
+
+    return {
+      state: normalizeState(parsed),
+      migration: from < SCHEMA_VERSION ? { from, to: SCHEMA_VERSION, key: backupKey(from) } : null,
+      blocked: null
+    };
+  }catch(error){
+    return { state: normalizeState({}), migration: null, blocked: { raw, error } };
+  }
+}
+
+function saveStateTo(storage, st){
+  return storage.save(snapshotOf(st));
+}
+
+/**
+ * Backend that keeps everything in memory: for scripts and tests.
+ * `seed` is the stored blob (a JSON string, as loadRaw() returns it), or another
+ * handle's `.store` to get a second writer on the same data (like a second tab).
+ */
+function createMemoryStorage(seed = null){
+  const store = seed && typeof seed === "object" ? seed : { raw: seed, revision: 0, backups: new Map() };
+  let lastJson = null;
+  let lastRevision = null; // null until loaded: a write-only handle doesn't check
+
+  return {
+    kind: "memory",
+    store,
+
+    async loadRaw(){
+      lastJson = store.raw;
+      lastRevision = store.revision;
+      return store.raw;
+    },
+
+    async save(snapshot){
+      const json = JSON.stringify(snapshot);
+      if(json === lastJson) return { written: 0, revision: lastRevision };
+      if(lastRevision !== null && store.revision !== lastRevision) throw staleRevisionError(store.revision, lastRevision);
+
+      store.raw = json;
+      store.revision++;
+      lastJson = json;
+      lastRevision = store.revision;
+      return { written: 1, revision: store.revision };
+    },
+
+    revision(){
+      return lastRevision || 0;
+    },
+
+    async readRevision(){
+      return store.revision;
+    },
+
+    async putBackup(name, value){
+      store.backups.set(name, value);
+    },
+
+    async getBackup(name){
+      return store.backups.has(name) ? store.backups.get(name) : null;
+    },
+
+    async estimate(){
+      return null;
+    },
+
+    close(){},
+
+    async destroy(){
+      store.raw = null;
+      store.revision = 0;
+      store.backups.clear();
+    }
+  };
+}
+
+/* ---------------------------------------------------------
+  09) ENCRYPTION (passphrase backups, locked storage)
+--------------------------------------------------------- */
+
+/* Envelope, used both for encrypted export files and for locked storage:
+     { format: "neuroforge-encrypted", version: 1,
+       kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt },
+       cipher: { name: "AES-GCM", iv },
+       data }                                  salt / iv / data are base64
+   AES-GCM authenticates the data, so a wrong passphrase (or an edited file)
+   fails to decrypt instead of producing garbage. */
+const ENCRYPTED_FORMAT = "neuroforge-encrypted";
+const ENCRYPTED_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+
+function toBase64(bytes){
+  let s = "";
+  for(const b of bytes) s += String.fromCharCode(b);
+  return btoa(s);
+}
+
+function fromBase64(str){
+  return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+
+function isEncryptedBlob(x){
+  return isPlainObject(x) && x.format === ENCRYPTED_FORMAT;
+}
+
+function wrongPassphraseError(){
+  const err = new Error("Wrong passphrase (or the data was changed after it was encrypted).");
+  err.name = "WrongPassphraseError";
+  return err;
+}
+
+function lockedDataError(){
+  const err = new Error("This data is encrypted; unlock it with its passphrase first.");
+  err.name = "LockedDataError";
+  return err;
+}
+
+/** Fresh key-derivation parameters (random salt). */
+function newKdf(iterations = PBKDF2_ITERATIONS){
+  return {
+    name: "PBKDF2",
+    hash: "SHA-256",
+    iterations,
+    salt: toBase64(crypto.getRandomValues(new Uint8Array(16)))
+  };
+}
+
+/**
+ * Derive the AES key once; returns { key, kdf } for sealText() / openText().
+ * PBKDF2 is slow on purpose, so lock mode keeps this for the whole session.
+ */
+async function deriveLock(passphrase, kdf = newKdf()){
+  if(kdf?.name !== "PBKDF2" || !kdf.salt || !(kdf.iterations > 0)){
+    throw new Error("Unsupported key derivation in encrypted data.");
+  }
+
+  const material = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(String(passphrase)), "PBKDF2", false, ["deriveKey"]
+  );
+  const key = await crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+  return { key, kdf };
+}
+
+async function sealText(text, lock){
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, lock.key, new TextEncoder().encode(text));
+
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_VERSION,
+    kdf: lock.kdf,
+    cipher: { name: "AES-GCM", iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(data))
+  };
+}
+
+async function openText(envelope, lock){
+  if(envelope.version !== ENCRYPTED_VERSION || envelope.cipher?.name !== "AES-GCM"){
+    throw new Error(`Unsupported encrypted data (version ${envelope.version}). Update the app first.`);
+  }
+
+  let plain;
+  try{
+    plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(envelope.cipher.iv) }, lock.key, fromBase64(envelope.data)
+    );
+  }catch{
+    throw wrongPassphraseError();
+  }
+  return new TextDecoder().decode(plain);
+}
+
+/** One-off encrypt (export files): fresh salt, so every file has its own key. */
+async function encryptText(text, passphrase, kdf = newKdf()){
+  return sealText(text, await deriveLock(passphrase, kdf));
+}
+
+async function decryptText(envelope, passphrase){
+  return openText(envelope, await deriveLock(passphrase, envelope.kdf));
+}
+
+/** The stored envelope when a backend's data is locked, else null. */
+async function readLockedEnvelope(storage){
+  try{
+    const parsed = JSON.parse(await storage.loadRaw());
+    return isEncryptedBlob(parsed) ? parsed : null;
+  }catch{
+    return null;
+  }
+}
+
+/**
+ * Backend wrapper that keeps everything encrypted at rest (lock mode).
+ * The whole state is sealed into one envelope per save (with an empty log, so
+ * per-entry backends store it as a single record); backups are sealed too.
+ * Plaintext it finds still loads, and is encrypted by the next save.
+ */
+function createEncryptedStorage(inner, lock){
+  let lastJson = null;
+
+  const open = async (raw) => {
+    let parsed;
+    try{
+      parsed = JSON.parse(raw);
+    }catch{
+      return raw;
+    }
+    if(!isEncryptedBlob(parsed)) return raw;
+    if(parsed.kdf?.salt !== lock.kdf.salt){
+      throw new Error("This data was locked with a different passphrase (changed in another tab?). Reload to unlock it.");
+    }
+    return openText(parsed, lock);
+  };
+
+  return {
+    kind: inner.kind,
+    encrypted: true,
+    inner,
+    lock,
+
+    async loadRaw(){
+      const raw = await inner.loadRaw();
+      if(raw === null || raw === undefined) return null;
+
+      const json = await open(raw);
+      // Still plaintext: leave lastJson unset so the next save encrypts it
+      lastJson = json === raw ? null : json;
+      return json;
+    },
+
+    async save(snapshot){
+      const json = JSON.stringify(snapshot);
+      if(json === lastJson) return { written: 0, revision: inner.revision() };
+
+      const result = await inner.save({ ...(await sealText(json, lock)), log: [] });
+      lastJson = json;
+      return result;
+    },
+
+    revision(){
+      return inner.revision();
+    },
+
+    readRevision(){
+      return inner.readRevision();
+    },
+
+    async putBackup(name, raw){
+      return inner.putBackup(name, JSON.stringify(await sealText(raw, lock)));
+    },
+
+    async getBackup(name){
+      const raw = await inner.getBackup(name);
+      return raw === null || raw === undefined ? raw : open(raw);
+    },
+
+    estimate(){
+      return inner.estimate();
+    },
+
+    close(){
+      inner.close();
+    },
+
+    destroy(){
+      return inner.destroy();
+    }
+  };
+}
+
+/** Check the passphrase against a locked backend and wrap it; throws WrongPassphraseError. */
+async function unlockStorage(storage, envelope, passphrase){
+  const lock = await deriveLock(passphrase, envelope.kdf);
+  await openText(envelope, lock);
+  return createEncryptedStorage(storage, lock);
+}
+
+/* ---------------------------------------------------------
+  10) REMOTE SYNC (per-entry push/pull against a REST endpoint)
+--------------------------------------------------------- */
+
+/* Protocol: README ("Remote sync"); tools/sync-server.js is the reference server.
+   Records:
+     { kind: "entry", id, updatedAt, deleted?, data? }   data = the log entry
+     { kind: "state", id: "$state", updatedAt, data }     everything but the log
+   `updatedAt` is a version stamp: sync only compares it for equality, so
+   clocks on different devices don't need to agree.
+   Client bookkeeping (per profile, never synced itself):
+     { endpoint, token, cursor,
+       base: { id: updatedAt both sides last agreed on },
+       baseState,                        data of the last agreed state record
+       conflicts: { id: server record }, lastSyncAt, lastError } */
+const SYNC_STATE_ID = "$state";
+
+// Kept per device: the log syncs per entry, and todayFocus is this device's last roll
+const SYNC_LOCAL_KEYS = ["log", "updatedAt", "schemaVersion", "todayFocus"];
+
+function emptySyncMeta(endpoint = "", token = ""){
+  return { endpoint, token, cursor: 0, base: {}, baseState: null, conflicts: {}, lastSyncAt: null, lastError: null };
+}
+
+function syncStateData(st){
+  const data = { ...st };
+  for(const k of SYNC_LOCAL_KEYS) delete data[k];
+  return data;
+}
+
+/**
+ * Give edited records a new updatedAt. `seen` maps record id -> { at, json }
+ * as of the last call and is updated in place. Only content changes count, and
+ * a record whose updatedAt already moved (merged from another tab or the
+ * server) keeps it. With `ids` (a Set) only those entries are checked.
+ * Returns how many records were stamped.
+ */
+function touchEdits(st, seen, now = DEFAULT_ENV.now().toISOString(), ids = null){
+  let stamped = 0;
+  // The JSON includes the stamp itself (no per-entry copy on every save), so a
+  // stamped record is serialized again to remember it as it is now
+  const check = (id, rec, json, data = rec) => {
+    const prev = seen.get(id);
+    const edited = !!prev && prev.json !== json && prev.at === rec.updatedAt;
+    if(edited){
+      rec.updatedAt = now;
+      json = JSON.stringify(data);
+      stamped++;
+    }
+    seen.set(id, { at: rec.updatedAt, json });
+  };
+
+  for(const e of st.log){
+    if(!ids || ids.has(e.id)) check(e.id, e, JSON.stringify(e));
+  }
+  const shared = syncStateData(st);
+  check(SYNC_STATE_ID, st, JSON.stringify(shared), shared);
+
+  return stamped;
+}
+
+function sameRecordData(a, b){
+  const content = (r) => r && !r.deleted ? { ...r.data, updatedAt: undefined } : null;
+  return sameJson(content(a), content(b));
+}
+
+function setSyncBase(sync, r){
+  if(r.deleted) delete sync.base[r.id];
+  else sync.base[r.id] = r.updatedAt;
+}
+
+/** Put a server entry record into the log (replace, delete, or insert by time). */
+function applyRemoteEntry(st, r){
+  const i = st.log.findIndex(e => e.id === r.id);
+
+  if(r.deleted){
+    if(i >= 0) st.log.splice(i, 1);
+    return;
+  }
+
+  const entry = { ...structuredCloneSafe(r.data), id: r.id, updatedAt: r.updatedAt };
+  if(i >= 0){
+    st.log[i] = entry;
+    return;
+  }
+
+  // Newest first: in front of the first older entry
+  const at = st.log.findIndex(e => String(e.ts || "") < String(entry.ts || ""));
+  st.log.splice(at < 0 ? st.log.length : at, 0, entry);
+}
+
+/** Swap the shared (non-log) part of `st` for `data`, keeping the object. */
+function replaceStateData(st, data){
+  const next = withDefaults({ ...structuredCloneSafe(data), log: st.log, todayFocus: st.todayFocus });
+  for(const k of Object.keys(st)) delete st[k];
+  Object.assign(st, next);
+}
+
+/**
+ * The state record never conflicts: edits on both sides merge key by key from
+ * the last agreed version (the server wins real clashes), baseline history
+ * points are combined. A device's first sync adopts the server's version.
+ */
+function applyRemoteState(st, sync, r, now){
+  const localAt = st.updatedAt ?? null;
+  const baseAt = sync.base[SYNC_STATE_ID] ?? null;
+  const bothChanged = localAt !== baseAt && !!sync.baseState;
+
+  let data = r.data;
+  if(bothChanged){
+    // mergeValue() may hand back r.data itself: copy before adding the history
+    data = {
+      ...mergeValue(sync.baseState, syncStateData(st), r.data),
+      baselineHistory: mergeHistories(st.baselineHistory || {}, r.data.baselineHistory || {})
+    };
+  }
+
+  replaceStateData(st, data);
+  st.updatedAt = bothChanged && !sameJson(syncStateData(st), r.data) ? now : r.updatedAt;
+  sync.base[SYNC_STATE_ID] = r.updatedAt;
+  sync.baseState = structuredCloneSafe(r.data);
+}
+
+/**
+ * Fold server records into `st` (mutated) and `sync`. A record changed only on
+ * the server is applied; an entry changed on both sides (edit/edit or
+ * edit/delete) is parked in sync.conflicts for the user. Returns how many
+ * records changed `st`.
+ */
+function applyRemoteChanges(st, sync, records, now = DEFAULT_ENV.now().toISOString()){
+  let changed = 0;
+
+  for(const r of records){
+    if(Number(r.schemaVersion) > SCHEMA_VERSION){
+      throw new Error(`The sync server has data from a newer app (schema v${r.schemaVersion}). Update the app first.`);
+    }
+
+    const baseAt = sync.base[r.id] ?? null;
+    if(r.updatedAt === baseAt) continue; // our own write coming back, or already agreed
+
+    if(r.kind === "state"){
+      applyRemoteState(st, sync, r, now);
+      changed++;
+      continue;
+    }
+
+    const local = st.log.find(e => e.id === r.id) || null;
+    const localAt = local ? local.updatedAt ?? null : null;
+
+    if(localAt === baseAt){
+      applyRemoteEntry(st, r);
+      changed++;
+    }else if(sameRecordData(local ? { data: local } : { deleted: true }, r)){
+      // Same change made on both sides: just adopt the server's stamp
+      if(local){
+        local.updatedAt = r.updatedAt;
+        changed++;
+      }
+    }else{
+      sync.conflicts[r.id] = r;
+      continue;
+    }
+
+    setSyncBase(sync, r);
+    delete sync.conflicts[r.id];
+  }
+
+  return changed;
+}
+
+/**
+ * Records to push: entries and state whose updatedAt moved off the agreed one,
+ * plus tombstones for synced entries that are gone here. Parked conflicts wait.
+ * A device that never synced offers its state record (stamping it if needed).
+ */
+function pendingPushRecords(st, sync, now = DEFAULT_ENV.now().toISOString()){
+  const out = [];
+  const push = (rec, baseAt) => out.push({ ...rec, baseUpdatedAt: baseAt, schemaVersion: SCHEMA_VERSION });
+
+  const stateBase = sync.base[SYNC_STATE_ID] ?? null;
+  if(stateBase === null || (st.updatedAt ?? null) !== stateBase){
+    st.updatedAt ??= now;
+    push({ kind: "state", id: SYNC_STATE_ID, updatedAt: st.updatedAt, data: syncStateData(st) }, stateBase);
+  }
+
+  const here = new Set();
+  for(const e of st.log){
+    here.add(e.id);
+    const baseAt = sync.base[e.id] ?? null;
+    if(sync.conflicts[e.id] || !e.updatedAt || e.updatedAt === baseAt) continue;
+    push({ kind: "entry", id: e.id, updatedAt: e.updatedAt, data: e }, baseAt);
+  }
+
+  for(const [id, baseAt] of Object.entries(sync.base)){
+    if(id === SYNC_STATE_ID || here.has(id) || sync.conflicts[id]) continue;
+    push({ kind: "entry", id, updatedAt: now, deleted: true }, baseAt);
+  }
+
+  return out;
+}
+
+function acceptPushed(sync, pushed, acceptedIds){
+  const accepted = new Set(acceptedIds);
+  for(const r of pushed){
+    if(!accepted.has(r.id)) continue;
+    setSyncBase(sync, r);
+    if(r.kind === "state") sync.baseState = structuredCloneSafe(r.data);
+  }
+}
+
+/**
+ * Settle a parked conflict. "remote" takes the server's version; "local" keeps
+ * this device's (a deletion stays deleted), re-based on the server's version so
+ * the next push goes through.
+ */
+function resolveConflict(st, sync, id, keep, now = DEFAULT_ENV.now().toISOString()){
+  const remote = sync.conflicts[id];
+  if(!remote) return;
+  delete sync.conflicts[id];
+
+  if(keep === "remote"){
+    applyRemoteEntry(st, remote);
+    setSyncBase(sync, remote);
+    return;
+  }
+
+  sync.base[id] = remote.updatedAt;
+  const local = st.log.find(e => e.id === id);
+  if(local) local.updatedAt = now;
+}
+
+/**
+ * One sync round: pull (all pages), merge, push, and retry with whatever the
+ * server rejected. Network waits happen between steps, so the live state is
+ * re-read each time through io.getState() (it may have been replaced meanwhile):
+ *   io.getState()     -> state to merge into (mutated in place)
+ *   io.touch(st)      -> stamp local edits (see touchEdits); runs before the
+ *                        pull too, so an unstamped edit can't be overwritten
+ *   io.onChange()     -> server changes were applied
+ *   io.now()          -> ISO timestamp (defaults to DEFAULT_ENV's clock)
+ * Returns { pulled, pushed, conflicts }.
+ */
+async function syncWithRemote(sync, transport, io){
+  const now = io.now || (() => DEFAULT_ENV.now().toISOString());
+  let pulled = 0;
+  let pushed = 0;
+
+  const merge = (records) => {
+    const n = applyRemoteChanges(io.getState(), sync, records, now());
+    pulled += n;
+    if(n && io.onChange) io.onChange();
+  };
+
+  if(io.touch) io.touch(io.getState());
+
+  let page;
+  do{
+    page = await transport.pull(sync.cursor);
+    merge(page.records || []);
+    sync.cursor = page.cursor;
+  }while(page.more);
+
+  for(let round = 0; round < 3; round++){
+    const st = io.getState();
+    if(io.touch) io.touch(st);
+    const records = pendingPushRecords(st, sync, now());
+    if(!records.length) break;
+
+    const res = await transport.push(records);
+    acceptPushed(sync, records, res.accepted || []);
+    pushed += (res.accepted || []).length;
+
+    // Rejected = the server moved on since our pull; it sends its versions back
+    if(!res.rejected?.length) break;
+    merge(res.rejected);
+  }
+
+  sync.lastSyncAt = now();
+  sync.lastError = null;
+  return { pulled, pushed, conflicts: Object.keys(sync.conflicts).length };
+}
+
+/**
+ * fetch() transport for the protocol. `endpoint` is the base URL
+ * (e.g. http://localhost:8787/main); a token goes out as a Bearer header.
+ */
+function createHttpTransport(endpoint, token = "", fetchImpl = (...args) => fetch(...args)){
+  const base = String(endpoint).replace(/\/+$/, "");
+
+  const call = async (path, init = {}) => {
+    const res = await fetchImpl(base + path, {
+      ...init,
+      headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    });
+    if(!res.ok) throw new Error(`Sync server answered ${res.status} ${res.statusText || ""}`.trim());
+    return res.json();
+  };
+
+  return {
+    pull: (cursor) => call(`/changes?since=${encodeURIComponent(cursor)}`),
+    push: (records) => call("/push", { method: "POST", body: JSON.stringify({ records }) })
+  };
+}
+
+return {
+  // 01) Constants + Default State
+  DEFAULT_MODES, DEFAULT_STATE, DEFAULT_ENV,
+  // 02) Helpers
+  structuredCloneSafe, clamp, scoreToPct, pickRandom, nowStamp, parseLegacyTime,
+  entryStamp, escapeHtml, mdInline, renderMarkdown, formatDelta, formatDay,
+  STEP_MARKER, parsePackSteps, syncEntrySteps, stepProgress, formatScore,
+  // 03) Schema
+  backupKey, schemaVersionOf, MIGRATIONS, SCHEMA_VERSION, migrateState, withDefaults,
+  normalizeState, normalizeHistory, recordBaseline, syncBaselineHistory, SKILL_COLORS,
+  defaultSkillMeta, reconcileSkills, activeSkillNames, renameSkill, normalizeModes,
+  validateStateShape, diffMaps, mergeStates, mergeModes, mergeHistories, isPlainObject,
+  sameJson, mergeValue, mergeThreeWay,
+  // 04) Derived Values
+  entryEarnedXP, calcXP, formatMs, sortLogNewestFirst, dayKey, addDays, weekStart,
+  buildDailyBuckets, calcStreaks, EMPTY_LOG_FILTER, LOG_SORTS, DIFFICULTIES, MOODS,
+  ENJOYED, difficultyRank, parseLogFilter, logFilterToHash, isLogFilterActive,
+  filterLog, SLEEP_BUCKETS, ANALYTICS_WEEKS, completionBySleep, completionByEnjoyment,
+  difficultyByCategory, moodByWeek, SELECTION_POLICIES, RECENT_ROLLS_WINDOW,
+  reviewIntervalDays, skillTrainingStats, skillWeight, weightedSample, explainPick,
+  selectCategories, LEVEL_BASE_XP, RANKS, xpForLevel, levelInfo, skillXP, ACHIEVEMENTS,
+  calcAchievements,
+  // 05) Actions
+  addLogEntry, rollSession, recordRetest,
+  updateLogEntry, setEntryCompleted, setStepDone, recordDrillResult, deleteLogEntry, clearLog,
+  replaceState, resetState, setModes, parseBaselineScores, setBaselines, validateSkillEdits,
+  updateSkills, STATE_KEYS, recordChange, isEmptyPatch, applyPatch,
+  // 06) Text Export
+  entryPackSteps, packToText, entryToClipboardText, CSV_COLUMNS, csvField, logToCsv,
+  logToMarkdown,
+  // 07) Drill Engine
+  mulberry32, hashString, newSeed, DRILL_GENERATORS, hasDrillGenerator, generateDrill,
+  normalizeAnswer, gradeAnswer, median, summarizeDrill,
+  // 08) Storage Adapter
+  staleRevisionError, snapshotOf, createSavedCopy, loadStateFrom, saveStateTo,
+  createMemoryStorage,
+  // 09) Encryption
+  ENCRYPTED_FORMAT, PBKDF2_ITERATIONS, isEncryptedBlob, newKdf, deriveLock, sealText, openText,
+  encryptText, decryptText, readLockedEnvelope, createEncryptedStorage, unlockStorage,
+  // 10) Remote Sync
+  SYNC_STATE_ID, emptySyncMeta, syncStateData, touchEdits, applyRemoteChanges,
+  pendingPushRecords, acceptPushed, resolveConflict, syncWithRemote, createHttpTransport
+};
+});
@@ -0,0 +1,68 @@
+/* =========================================================
+  NeuroForge // sw.js
+
+  Purpose:
+    - Precache the app shell so everything works offline
+    - One versioned cache per deploy: bump CACHE_VERSION whenever
+      any precached file changes, or clients keep the old copy
+
+  Update flow:
+    1) The browser sees a changed sw.js and installs it (precache)
+    2) It waits; app.js shows "new version" and posts SKIP_WAITING
+    3) activate drops old caches, app.js reloads on controllerchange
+========================================================= */
+const CACHE_VERSION = "neuroforge-v2";
+
+const PRECACHE = [
+  "./",
+  "./index.html",
+  "./style.css",
+  "./core.js",
+  "./app.js",
+  "./manifest.webmanifest",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+  "./icons/icon-maskable-512.png",
+  "./icons/apple-touch-icon.png"
+];
+
+self.addEventListener("install", (ev) => {
+  // cache: "reload" so a fresh deploy never gets precached from the HTTP cache
+  ev.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.addAll(PRECACHE.map(url => new Request(url, { cache: "reload" }))))
+  );
+});
+
+self.addEventListener("activate", (ev) => {
+  ev.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE_VERSION).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (ev) => {
+  if(ev.data === "SKIP_WAITING") self.skipWaiting();
+});
+
+/**
+ * Cache-first for the app shell (it only changes with CACHE_VERSION).
+ * Navigations fall back to the cached index.html, so deep links with
+ * a #log?… hash or ?query still open offline.
+ */
+self.addEventListener("fetch", (ev) => {
+  const req = ev.request;
+  if(req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+
+  ev.respondWith(
+    caches.match(req, { ignoreSearch: req.mode === "navigate" }).then(hit => {
+      if(hit) return hit;
+
+      return fetch(req).catch(() => {
+        if(req.mode === "navigate") return caches.match("./index.html");
+        return Response.error();
+      });
+    })
+  );
+});
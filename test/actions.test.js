@@ -0,0 +1,305 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+// Seeded randomness + counting ids so rolls are reproducible
+function seededEnv(seed){
+  let n = 0;
+  return { random: core.mulberry32(seed), uuid: () => `id-${++n}` };
+}
+
+function mode(id){
+  return core.DEFAULT_MODES.find(m => m.id === id);
+}
+
+test("rollSession adds an open entry for the mode", () => {
+  const st = core.normalizeState({});
+  const e = core.rollSession(st, mode("tri"), seededEnv(1));
+
+  assert.equal(st.log[0], e);
+  assert.equal(e.id, "id-1");
+  assert.equal(e.title, "Tri-Skill Sprint");
+  assert.equal(e.mode, "tri");
+  assert.equal(e.xpPotential, 18);
+  assert.equal(e.completed, false);
+  assert.equal(e.categories.length, 3);
+  assert.equal(new Set(e.categories).size, 3);
+  assert.equal(st.todayFocus, e.categories.join(" • "));
+  assert.ok(e.why);
+});
+
+test("rollSession is deterministic for a seeded env", () => {
+  const roll = () => {
+    const st = core.normalizeState({});
+    const e = core.rollSession(st, mode("full"), seededEnv(42));
+    return { categories: e.categories, challengeText: e.challengeText, drill: e.drill };
+  };
+  assert.deepEqual(roll(), roll());
+});
+
+test("an unknown selection policy (current-schema import or sync) falls back to the default", () => {
+  const st = core.normalizeState({ schemaVersion: core.SCHEMA_VERSION, settings: { selectionPolicy: "toString" } });
+  assert.equal(st.settings.selectionPolicy, core.DEFAULT_STATE.settings.selectionPolicy);
+  assert.doesNotThrow(() => core.rollSession(st, mode("tri"), seededEnv(3)));
+});
+
+test("rollSession keeps a mode's fixed skills and drops archived ones", () => {
+  const st = core.normalizeState({});
+  st.skills["Vocabulary"].archived = true;
+  const custom = { id: "c", name: "Custom", count: 2, fixed: ["Quick Math", "Vocabulary"], xp: 12 };
+  const e = core.rollSession(st, custom, seededEnv(7));
+
+  assert.equal(e.categories[0], "Quick Math");
+  assert.equal(e.categories.length, 2);
+  assert.ok(!e.categories.includes("Vocabulary"));
+  assert.match(e.why, /^Fixed by mode: Quick Math/);
+});
+
+test("rollSession attaches a seeded drill for skills with a generator", () => {
+  const st = core.normalizeState({});
+  const custom = { id: "m", name: "Math", count: 1, fixed: ["Quick Math"], xp: 10 };
+  const e = core.rollSession(st, custom, seededEnv(3));
+
+  assert.ok(e.drill.items.length > 0);
+  assert.equal(e.challengeText, core.generateDrill(["Quick Math"], e.drill.seed).text);
+});
+
+test("recordRetest logs a completed entry and optionally moves the baseline", () => {
+  const st = core.normalizeState({});
+  const before = st.baselines["Quick Math"];
+
+  const kept = core.recordRetest(st, "Quick Math", 7, false, seededEnv(1));
+  assert.equal(kept.completed, true);
+  assert.equal(kept.title, "Re-test");
+  assert.equal(kept.kind, "retest");
+  assert.equal(st.baselines["Quick Math"], before);
+  assert.match(kept.answerText, /Baseline unchanged/);
+
+  const moved = core.recordRetest(st, "Quick Math", 12, true, seededEnv(2));
+  assert.equal(st.baselines["Quick Math"], 10);
+  assert.match(moved.answerText, /^Re-test score: 10 \/ 10 \(was 4\.5\)/);
+  assert.equal(st.baselineHistory["Quick Math"].at(-1).source, "retest");
+  assert.equal(st.log.length, 2);
+});
+
+test("an injected clock and ids reach defaults, history and new entries", () => {
+  const at = new Date("2026-01-02T03:04:05.000Z");
+  const env = { ...seededEnv(1), now: () => at };
+  const st = core.normalizeState({ schemaVersion: 4, baselines: { "Quick Math": 3 }, modes: [{ name: "No id" }], log: [] }, "initial", env);
+
+  assert.equal(st.skills["Quick Math"].createdAt, at.toISOString());
+  assert.equal(st.baselineHistory["Quick Math"][0].at, at.toISOString());
+  assert.equal(st.modes[0].id, "id-1");
+  assert.equal(core.rollSession(st, mode("daily"), env).ts, at.toISOString());
+});
+
+test("a fixed clock makes adaptive rolls and drill results reproducible", () => {
+  const at = new Date("2026-01-11T00:00:00.000Z");
+  const trained = core.normalizeState({
+    schemaVersion: core.SCHEMA_VERSION,
+    baselines: { A: 5, B: 5 },
+    log: [{ id: "old", title: "t", categories: ["A", "B"], xpPotential: 1, completed: true, ts: "2026-01-01T00:00:00.000Z" }]
+  });
+  const roll = () => core.rollSession(core.structuredCloneSafe(trained), { id: "m", name: "M", count: 1, fixed: [], xp: 1 }, { ...seededEnv(4), now: () => at });
+
+  const first = roll();
+  assert.match(first.why, /last trained 10d ago/);
+  assert.equal(roll().why, first.why);
+
+  const st = core.normalizeState({});
+  const e = core.addLogEntry(st, { title: "D", categories: [], xpPotential: 1 }, seededEnv(1));
+  core.recordDrillResult(st, e.id, [{ correct: true, ms: 5 }], { now: () => at });
+  assert.equal(e.drillResult.at, at.toISOString());
+});
+
+test("updateLogEntry writes console fields and keeps checked steps", () => {
+  const st = core.normalizeState({});
+  const e = core.addLogEntry(st, { title: "Pack", categories: [], xpPotential: 10, challengeText: "Step 1) A\nStep 2) B" }, seededEnv(1));
+  core.syncEntrySteps(e);
+  core.setStepDone(st, e.id, 1, true);
+
+  core.updateLogEntry(st, e.id, { challengeText: "Step 1) A\nStep 2) B\nStep 3) C", answerText: "done", mood: "🙂", completed: true, kind: "nope" });
+  assert.equal(e.answerText, "done");
+  assert.equal(e.mood, "🙂");
+  assert.equal(e.completed, true);
+  assert.equal(e.kind, undefined);
+  assert.deepEqual(e.steps.map(s => s.done), [true, false, false]);
+
+  assert.equal(core.updateLogEntry(st, "gone", { answerText: "x" }), null);
+  assert.equal(core.setStepDone(st, e.id, 9, true), null);
+});
+
+test("delete, clear, complete and drill results act on the log in place", () => {
+  const st = core.normalizeState({});
+  const env = seededEnv(1);
+  const a = core.addLogEntry(st, { title: "A", categories: [], xpPotential: 1 }, env);
+  const b = core.addLogEntry(st, { title: "B", categories: [], xpPotential: 1 }, env);
+
+  assert.equal(core.setEntryCompleted(st, a.id, true), a);
+  assert.equal(a.completed, true);
+
+  core.recordDrillResult(st, b.id, [{ correct: true, ms: 1000 }]);
+  assert.equal(b.completed, true);
+  assert.equal(b.drillResult.correct, 1);
+
+  assert.equal(core.deleteLogEntry(st, a.id), a);
+  assert.equal(core.deleteLogEntry(st, a.id), null);
+  assert.deepEqual(core.clearLog(st), [b]);
+  assert.deepEqual(st.log, []);
+});
+
+test("resetState resets the log, the skills, or everything", () => {
+  const st = core.normalizeState({});
+  core.addLogEntry(st, { title: "A", categories: [], xpPotential: 1 }, seededEnv(1));
+  core.setBaselines(st, { Chess: 4 });
+
+  core.resetState(st, { baselines: true });
+  assert.deepEqual(st.baselines, core.DEFAULT_STATE.baselines);
+  assert.ok(!("Chess" in st.skills));
+  assert.equal(st.log.length, 1);
+
+  core.resetState(st, { log: true });
+  assert.equal(st.log.length, 0);
+
+  const same = st;
+  st.settings.stepXP = true;
+  core.resetState(st, { everything: true });
+  assert.equal(st, same);
+  assert.equal(st.settings.stepXP, false);
+  assert.equal(st.baselineHistory["Quick Math"][0].source, "reset");
+});
+
+test("baseline edits are checked, clamped and recorded", () => {
+  assert.deepEqual(core.parseBaselineScores({ A: "12", B: -1 }), { A: 10, B: 0 });
+  assert.throws(() => core.parseBaselineScores({ A: "x" }), /Non-number/);
+  assert.throws(() => core.parseBaselineScores([5]), /object/);
+
+  const st = core.normalizeState({});
+  core.setBaselines(st, { "Quick Math": 6, Chess: 3 }, { now: () => new Date(0) });
+  assert.deepEqual(Object.keys(st.skills), ["Quick Math", "Chess"]);
+  assert.deepEqual(st.baselineHistory.Chess, [{ at: new Date(0).toISOString(), score: 3, source: "edit" }]);
+  assert.equal(st.baselineHistory["Quick Math"].at(-1).score, 6);
+});
+
+test("skill edits swap names, update metadata and add a skill", () => {
+  const st = core.normalizeState({ schemaVersion: core.SCHEMA_VERSION, baselines: { A: 1, B: 2 }, log: [{ id: "x", title: "t", categories: ["A"], xpPotential: 1 }] });
+  const rows = [
+    { orig: "A", name: "B", description: "was A", color: "", archived: false },
+    { orig: "B", name: "A", description: "", color: "#ff5fd7", archived: true }
+  ];
+
+  assert.deepEqual(core.validateSkillEdits(rows, { name: "A" }), ["Skill names must be unique."]);
+  assert.deepEqual(core.validateSkillEdits([{ ...rows[0], name: "" }], null), ["Skill names can't be empty."]);
+  assert.deepEqual(core.validateSkillEdits(rows, { name: "C" }), []);
+
+  const renames = core.updateSkills(st, rows, { name: "C", score: "", description: "new" });
+  assert.deepEqual(renames, [{ from: "A", to: "B" }, { from: "B", to: "A" }]);
+  assert.deepEqual(st.baselines, { B: 1, A: 2, C: 0 });
+  assert.deepEqual(st.log[0].categories, ["B"]);
+  assert.equal(st.skills.B.description, "was A");
+  assert.equal(st.skills.A.archived, true);
+  assert.equal(st.skills.C.description, "new");
+});
+
+test("undoing a delete puts the entry back without touching later work", () => {
+  const st = core.normalizeState({});
+  const env = seededEnv(1);
+  const a = core.addLogEntry(st, { title: "A", categories: [], xpPotential: 1 }, env);
+  core.addLogEntry(st, { title: "B", categories: [], xpPotential: 1 }, env);
+
+  const { undo, redo } = core.recordChange(st, { ids: [a.id] }, s => core.deleteLogEntry(s, a.id));
+  assert.deepEqual(undo.put.map(p => p.entry.title), ["A"]);
+  assert.equal(undo.set.length, 0);
+
+  // Work done after the delete
+  core.addLogEntry(st, { title: "C", categories: [], xpPotential: 1 }, env);
+  core.updateLogEntry(st, st.log[1].id, { answerText: "kept" });
+
+  core.applyPatch(st, undo);
+  assert.deepEqual(st.log.map(e => e.title), ["C", "B", "A"]);
+  assert.equal(st.log[1].answerText, "kept");
+
+  core.applyPatch(st, redo);
+  assert.deepEqual(st.log.map(e => e.title), ["C", "B"]);
+});
+
+test("undoing a console save brings back the entry's previous fields", () => {
+  const st = core.normalizeState({});
+  const e = core.addLogEntry(st, { title: "Pack", categories: [], xpPotential: 10, challengeText: "Step 1) A" }, seededEnv(1));
+  core.syncEntrySteps(e);
+  core.updateLogEntry(st, e.id, { answerText: "first", mood: "🙂" });
+  const before = structuredClone(e);
+
+  const { undo, redo } = core.recordChange(st, { ids: [e.id] }, s => core.updateLogEntry(s, e.id, {
+    challengeText: "Step 1) A\nStep 2) B",
+    answerText: "second",
+    insightText: "new insight",
+    mood: "😤",
+    sleepHrs: "6",
+    difficulty: "Hard",
+    liked: "No",
+    completed: true,
+    steps: [{ n: 1, answer: "a", done: true }]
+  }));
+
+  core.applyPatch(st, undo);
+  assert.deepEqual(st.log[0], before);
+
+  core.applyPatch(st, redo);
+  assert.equal(st.log[0].answerText, "second");
+  assert.equal(st.log[0].steps.length, 2);
+});
+
+test("undo patches hold only what changed: entry fields and rewritten maps", () => {
+  const st = core.normalizeState({ schemaVersion: core.SCHEMA_VERSION, baselines: { A: 1, B: 2 }, log: [] });
+  const env = seededEnv(1);
+  const e = core.addLogEntry(st, { title: "t", categories: ["A"], xpPotential: 1 }, env);
+  core.addLogEntry(st, { title: "other", categories: ["B"], xpPotential: 1 }, env);
+  const rows = [
+    { orig: "A", name: "Z", description: "", color: "", archived: false },
+    { orig: "B", name: "B", description: "", color: "", archived: false }
+  ];
+
+  const { undo } = core.recordChange(st, { ids: "all", keys: ["baselines", "notes", "skills", "baselineHistory"] }, s => core.updateSkills(s, rows, null));
+  assert.deepEqual(undo.set, [{ id: e.id, fields: { categories: ["A"] }, unset: [] }]);
+  assert.deepEqual(Object.keys(undo.fields).sort(), ["baselineHistory", "baselines", "skills"]);
+
+  // An answer written after the rename survives undoing it
+  core.updateLogEntry(st, e.id, { answerText: "later" });
+  core.applyPatch(st, undo);
+  assert.deepEqual(e.categories, ["A"]);
+  assert.equal(e.answerText, "later");
+  assert.deepEqual(Object.keys(st.baselines), ["A", "B"]);
+
+  assert.ok(core.isEmptyPatch(core.recordChange(st, { keys: ["modes"] }, () => {}).undo));
+});
+
+test("undoing a cleared log or a replace-import restores the old entries in order", () => {
+  const st = core.normalizeState({});
+  const env = seededEnv(1);
+  for(const t of ["A", "B", "C"]) core.addLogEntry(st, { title: t, categories: [], xpPotential: 1 }, env);
+
+  const cleared = core.recordChange(st, { ids: "all" }, core.clearLog);
+  core.addLogEntry(st, { title: "D", categories: [], xpPotential: 1 }, env);
+  core.applyPatch(st, cleared.undo);
+  assert.deepEqual(st.log.map(e => e.title), ["C", "B", "A", "D"]);
+
+  const incoming = core.normalizeState({ schemaVersion: core.SCHEMA_VERSION, baselines: { X: 1 }, log: [] });
+  const replaced = core.recordChange(st, { ids: "all", keys: core.STATE_KEYS }, s => core.replaceState(s, incoming));
+  assert.deepEqual(Object.keys(st.baselines), ["X"]);
+  core.applyPatch(st, replaced.undo);
+  assert.equal(st.log.length, 4);
+  assert.ok("Quick Math" in st.baselines);
+  // Patches are plain data (they're persisted as JSON)
+  assert.deepEqual(JSON.parse(JSON.stringify(replaced.undo)), replaced.undo);
+});
+
+test("drill grading", () => {
+  assert.equal(core.gradeAnswer(" 42 ", "42"), true);
+  assert.equal(core.median([3, 1, 2]), 2);
+
+  const r = core.summarizeDrill([{ correct: true, ms: 1000 }, { correct: false, ms: 3000 }]);
+  assert.equal(r.correct, 1);
+  assert.equal(r.total, 2);
+  assert.equal(r.medianMs, 2000);
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+// Real exports use PBKDF2_ITERATIONS; a cheap KDF keeps the suite fast
+const fastKdf = () => core.newKdf(1000);
+
+test("encrypt/decrypt round-trips and hides the plaintext", async () => {
+  const text = JSON.stringify({ answer: "my private reflection" });
+  const envelope = await core.encryptText(text, "correct horse", fastKdf());
+
+  assert.ok(core.isEncryptedBlob(envelope));
+  assert.ok(!JSON.stringify(envelope).includes("private"));
+  assert.equal(await core.decryptText(envelope, "correct horse"), text);
+});
+
+test("each encryption uses a fresh IV", async () => {
+  const lock = await core.deriveLock("pass phrase", fastKdf());
+  const a = await core.sealText("same", lock);
+  const b = await core.sealText("same", lock);
+  assert.notEqual(a.cipher.iv, b.cipher.iv);
+  assert.notEqual(a.data, b.data);
+});
+
+test("a wrong passphrase is reported as such", async () => {
+  const envelope = await core.encryptText("secret", "right one", fastKdf());
+  await assert.rejects(core.decryptText(envelope, "wrong one"), { name: "WrongPassphraseError" });
+});
+
+test("an edited envelope fails authentication", async () => {
+  const envelope = await core.encryptText("secret text", "pass", fastKdf());
+  const bytes = Buffer.from(envelope.data, "base64");
+  bytes[0] ^= 1;
+  await assert.rejects(core.decryptText({ ...envelope, data: bytes.toString("base64") }, "pass"), { name: "WrongPassphraseError" });
+});
+
+test("an encrypted blob is never mistaken for state", async () => {
+  const envelope = await core.encryptText("{}", "pass", fastKdf());
+  assert.throws(() => core.normalizeState(envelope), { name: "LockedDataError" });
+
+  const { blocked } = await core.loadStateFrom(core.createMemoryStorage(JSON.stringify(envelope)));
+  assert.equal(blocked.error.name, "LockedDataError");
+});
+
+test("locked storage keeps state and backups encrypted at rest", async () => {
+  const inner = core.createMemoryStorage();
+  const locked = core.createEncryptedStorage(inner, await core.deriveLock("pass", fastKdf()));
+
+  const { state } = await core.loadStateFrom(locked);
+  state.log.push({ id: "a", title: "Daily", categories: [], xpPotential: 10, completed: true, insightText: "very personal" });
+  assert.equal((await core.saveStateTo(locked, state)).written, 1);
+  assert.equal((await core.saveStateTo(locked, state)).written, 0);
+  await locked.putBackup("undo_history", "also personal");
+
+  assert.ok(!inner.store.raw.includes("personal"));
+  assert.ok(!inner.store.backups.get("undo_history").includes("personal"));
+  assert.equal(await locked.getBackup("undo_history"), "also personal");
+
+  const envelope = await core.readLockedEnvelope(inner);
+  assert.ok(envelope);
+  await assert.rejects(core.unlockStorage(inner, envelope, "nope"), { name: "WrongPassphraseError" });
+
+  const reopened = await core.unlockStorage(core.createMemoryStorage(inner.store), envelope, "pass");
+  const again = await core.loadStateFrom(reopened);
+  assert.equal(again.blocked, null);
+  assert.equal(again.state.log[0].insightText, "very personal");
+});
+
+test("locking existing plaintext data encrypts it on the next save", async () => {
+  const plain = core.createMemoryStorage(JSON.stringify(core.snapshotOf(core.normalizeState({}))));
+  assert.equal(await core.readLockedEnvelope(plain), null);
+
+  const locked = core.createEncryptedStorage(plain, await core.deriveLock("pass", fastKdf()));
+  const { state } = await core.loadStateFrom(locked);
+  assert.equal((await core.saveStateTo(locked, state)).written, 1);
+  assert.ok(await core.readLockedEnvelope(plain));
+});
+
+test("a copy written with a profile's lock opens with the same passphrase", async () => {
+  const source = core.createEncryptedStorage(core.createMemoryStorage(), await core.deriveLock("pass", fastKdf()));
+  const { state } = await core.loadStateFrom(source);
+  state.log.push({ id: "a", title: "Daily", categories: [], xpPotential: 10, completed: true, insightText: "very personal" });
+
+  const target = core.createMemoryStorage();
+  await core.saveStateTo(core.createEncryptedStorage(target, source.lock), state);
+  assert.ok(!target.store.raw.includes("personal"));
+
+  const reopened = await core.unlockStorage(target, await core.readLockedEnvelope(target), "pass");
+  assert.equal((await core.loadStateFrom(reopened)).state.log[0].insightText, "very personal");
+});
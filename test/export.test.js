@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+const ENTRY = {
+  id: "e1",
+  ts: "2026-01-17T09:30:00.000Z",
+  time: "Jan 17, 2026, 09:30 AM",
+  title: "Tri-Skill Sprint",
+  categories: ["Quick Math", "Vocabulary"],
+  xpPotential: 18,
+  completed: true,
+  mood: "🙂",
+  sleepHrs: 7,
+  difficulty: "Hard",
+  liked: "Yes",
+  challengeText: "Solve it",
+  answerText: "=SUM(A1:A9)",
+  insightText: ""
+};
+
+test("clipboard text lists the filled-in fields only", () => {
+  const lines = core.entryToClipboardText(ENTRY).split("\n");
+
+  assert.equal(lines[0], "Tri-Skill Sprint");
+  assert.ok(lines.includes("Rolled: Quick Math, Vocabulary"));
+  assert.ok(lines.includes("XP: 18 / 18"));
+  assert.ok(lines.includes("Difficulty: Hard"));
+  assert.ok(!lines.some(l => l.startsWith("Insights")));
+});
+
+test("clipboard text shows Training Pack progress", () => {
+  const pack = core.syncEntrySteps({ ...ENTRY, completed: false, challengeText: "Step 1) A\nStep 2) B" });
+  pack.steps[0].done = true;
+
+  const text = core.entryToClipboardText(pack, true);
+  assert.match(text, /XP: 9 \/ 18/);
+  assert.match(text, /Challenge \(1\/2 steps\):/);
+});
+
+test("CSV has a header row, quotes text and keeps formulas inert", () => {
+  const csv = core.logToCsv([ENTRY, { ...ENTRY, id: "e2", challengeText: 'say "hi", twice' }]);
+  const rows = csv.replace(/^\ufeff/, "").trimEnd().split("\r\n");
+
+  assert.equal(rows.length, 3);
+  assert.equal(rows[0].split(",")[0], "id");
+  assert.ok(rows[1].includes(",'=SUM(A1:A9),"));
+  assert.ok(rows[2].includes('"say ""hi"", twice"'));
+});
+
+test("csvField leaves numbers alone and guards leading signs", () => {
+  assert.equal(core.csvField(-3), "-3");
+  assert.equal(core.csvField("-3"), "'-3");
+  assert.equal(core.csvField("@user"), "'@user");
+  assert.equal(core.csvField(null), "");
+});
+
+test("Markdown journal has a scoped header and one section per entry", () => {
+  const md = core.logToMarkdown([ENTRY, ENTRY], { from: "2026-01-01", to: "", cat: "Vocabulary", completedOnly: true }, "Main");
+
+  assert.ok(md.startsWith("# NeuroForge Journal — Main\n\n2026-01-01 → today • Vocabulary • completed only • 2 entries • 36 XP"));
+  assert.equal(md.match(/^## Tri-Skill Sprint$/gm).length, 2);
+  assert.equal(md.split("\n\n---\n\n").length, 3);
+});
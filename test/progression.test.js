@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+// Noon local time, `daysAgo` days before `today`
+function at(today, daysAgo){
+  const d = new Date(today.getFullYear(), today.getMonth(), today.getDate() - daysAgo, 12);
+  return d.toISOString();
+}
+
+function entry(fields){
+  return { id: String(Math.random()), title: "Daily Neural Roll", categories: ["Quick Math"], xpPotential: 10, completed: true, ...fields };
+}
+
+test("earned XP: completion, drill accuracy and per-step packs", () => {
+  assert.equal(core.entryEarnedXP(entry({})), 10);
+  assert.equal(core.entryEarnedXP(entry({ completed: false })), 0);
+  assert.equal(core.entryEarnedXP(entry({ drillResult: { correct: 3, total: 4 } })), 8);
+
+  const pack = entry({ completed: false, steps: [{ done: true }, { done: false }] });
+  assert.equal(core.entryEarnedXP(pack), 0);
+  assert.equal(core.entryEarnedXP(pack, true), 5);
+  assert.equal(core.calcXP([pack, entry({})], true), 15);
+});
+
+test("streaks count completed days and survive until the day ends", () => {
+  const today = new Date(2026, 0, 21, 18);
+  const log = [
+    entry({ ts: at(today, 1) }),
+    entry({ ts: at(today, 2) }),
+    entry({ ts: at(today, 3) }),
+    entry({ ts: at(today, 5) }),
+    entry({ ts: at(today, 0), completed: false })
+  ];
+
+  const s = core.calcStreaks(log, today);
+  assert.equal(s.daily, 3);
+  assert.equal(s.bestDaily, 3);
+  assert.ok(s.weekly >= 1);
+
+  assert.equal(core.calcStreaks(log, new Date(2026, 0, 23, 9)).daily, 0);
+});
+
+test("levels and ranks grow with XP", () => {
+  assert.equal(core.levelInfo(0).level, 1);
+  assert.equal(core.levelInfo(0).rank, "Neuron Novice");
+  assert.equal(core.levelInfo(core.xpForLevel(3)).level, 3);
+  assert.equal(core.levelInfo(core.xpForLevel(3) - 1).level, 2);
+  assert.equal(core.levelInfo(core.xpForLevel(3)).rank, "Synapse Scout");
+});
+
+test("skill XP splits an entry across its categories", () => {
+  const out = core.skillXP([entry({ categories: ["Quick Math", "Vocabulary"], xpPotential: 18 })]);
+  assert.deepEqual(out, { "Quick Math": { xp: 9, sessions: 1 }, "Vocabulary": { xp: 9, sessions: 1 } });
+});
+
+test("achievements are dated by the entry that unlocked them", () => {
+  const today = new Date(2026, 0, 21, 18);
+  const st = core.normalizeState({});
+  st.log = [
+    entry({ ts: at(today, 0), difficulty: "Boss Fight" }),
+    entry({ ts: at(today, 1), drillResult: { correct: 4, total: 4 } }),
+    entry({ ts: at(today, 2), completed: false })
+  ];
+
+  const byId = Object.fromEntries(core.calcAchievements(st).map(a => [a.id, a.at]));
+  assert.equal(byId.first_session, at(today, 1));
+  assert.equal(byId.perfect_drill, at(today, 1));
+  assert.equal(byId.boss_fight, at(today, 0));
+  assert.equal(byId.streak_7, null);
+
+  // Un-completing the unlocking entry re-dates the achievement
+  st.log[1].completed = false;
+  assert.equal(core.calcAchievements(st).find(a => a.id === "first_session").at, at(today, 0));
+});
+
+test("Full Recalibration counts real re-tests, not a mode that happens to be named Re-test", () => {
+  const st = core.normalizeState({});
+  const skills = core.activeSkillNames(st);
+  st.log = skills.map((c, i) => entry({ id: `m${i}`, title: "Re-test", mode: "custom", categories: [c] }));
+  assert.equal(core.calcAchievements(st).find(a => a.id === "all_retested").at, null);
+
+  for(const c of skills) core.recordRetest(st, c, 5, false, { uuid: () => `r-${c}` });
+  assert.ok(core.calcAchievements(st).find(a => a.id === "all_retested").at);
+});
+
+test("re-test entries from older builds are marked by the migration", () => {
+  const st = core.normalizeState({
+    schemaVersion: 8,
+    log: [
+      { id: "r", title: "Re-test", categories: ["Quick Math"], xpPotential: 6, completed: true },
+      { id: "m", title: "Re-test", mode: "custom", categories: ["Quick Math"], xpPotential: 6 }
+    ]
+  });
+  assert.equal(st.log.find(e => e.id === "r").kind, "retest");
+  assert.equal(st.log.find(e => e.id === "m").kind, undefined);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+// A blob as the very first builds wrote it: no schemaVersion, `xp` on entries
+const V0_BLOB = {
+  baselines: { "Quick Math": 4.5 },
+  notes: {},
+  todayFocus: "Quick Math",
+  log: [
+    { id: "a", title: "Daily Neural Roll", categories: ["Quick Math"], xp: 10, time: "Jan 17, 2026, 09:30 AM" },
+    { id: "b", title: "Pack", categories: [], xp: 5, time: "Jan 18, 2026, 10:00 AM", challengeText: "Step 1) Warm-up\nStep 2) Quiz" }
+  ]
+};
+
+test("v0 blob migrates to the current schema", () => {
+  const st = core.normalizeState(V0_BLOB);
+  const e = st.log[0];
+
+  assert.equal(st.schemaVersion, core.SCHEMA_VERSION);
+  assert.equal(e.xpPotential, 10);
+  assert.equal(e.completed, true);
+  assert.equal("xp" in e, false);
+  assert.equal(new Date(e.ts).getFullYear(), 2026);
+  assert.equal(e.steps, undefined);
+  assert.deepEqual(st.log[1].steps.map(x => x.title), ["Warm-up", "Quiz"]);
+  assert.ok(st.skills["Quick Math"]);
+  assert.deepEqual(st.modes.map(m => m.id), core.DEFAULT_MODES.map(m => m.id));
+  assert.equal(st.settings.selectionPolicy, "weakness");
+});
+
+test("migrating never touches the input blob", () => {
+  const blob = structuredClone(V0_BLOB);
+  core.migrateState(blob);
+  assert.deepEqual(blob, V0_BLOB);
+});
+
+test("normalizeState is idempotent", () => {
+  const once = core.normalizeState(V0_BLOB);
+  const twice = core.normalizeState(JSON.parse(JSON.stringify(once)));
+  assert.deepEqual(twice, once);
+});
+
+test("loadStateFrom backs up the pre-migration blob", async () => {
+  const raw = JSON.stringify(V0_BLOB);
+  const storage = core.createMemoryStorage(raw);
+  const { state, migration, blocked } = await core.loadStateFrom(storage);
+
+  assert.equal(blocked, null);
+  assert.deepEqual(migration, { from: 0, to: core.SCHEMA_VERSION, key: core.backupKey(0) });
+  assert.equal(await storage.getBackup(core.backupKey(0)), raw);
+  assert.equal(state.log.length, 2);
+});
+
+test("loadStateFrom on empty storage gives defaults without a migration", async () => {
+  const { state, migration, blocked } = await core.loadStateFrom(core.createMemoryStorage());
+
+  assert.equal(migration, null);
+  assert.equal(blocked, null);
+  assert.deepEqual(state.baselines, core.DEFAULT_STATE.baselines);
+  assert.deepEqual(state.log, []);
+});
+
+test("data from a newer schema is blocked, not overwritten", async () => {
+  const raw = JSON.stringify({ schemaVersion: core.SCHEMA_VERSION + 1, log: [] });
+  const { blocked } = await core.loadStateFrom(core.createMemoryStorage(raw));
+
+  assert.ok(blocked);
+  assert.equal(blocked.raw, raw);
+  assert.match(blocked.error.message, /Update the app first/);
+});
+
+test("unreadable JSON is blocked", async () => {
+  const { blocked } = await core.loadStateFrom(core.createMemoryStorage("{nope"));
+  assert.ok(blocked);
+  assert.equal(blocked.raw, "{nope");
+});
+
+test("validateStateShape flags malformed data", () => {
+  assert.deepEqual(core.validateStateShape(core.normalizeState({})), []);
+
+  const problems = core.validateStateShape({ log: [{ id: 1 }] });
+  assert.ok(problems.length > 0);
+});
+
+test("a merge import only brings in what the file has, never filled-in defaults", () => {
+  const current = core.normalizeState({});
+  current.baselines["Quick Math"] = 9;
+  current.skills["Quick Math"].color = "#123456";
+
+  const merged = core.mergeStates(current, { log: [{ id: "x", title: "Imported", categories: [], xpPotential: 5 }] }, true);
+  assert.equal(merged.baselines["Quick Math"], 9);
+  assert.equal(merged.skills["Quick Math"].color, "#123456");
+  assert.deepEqual(merged.baselineHistory, current.baselineHistory);
+  assert.deepEqual(merged.log.map(e => e.id), ["x"]);
+
+  const withBaseline = core.mergeStates(current, { baselines: { "Quick Math": 3 } }, true);
+  assert.equal(withBaseline.baselines["Quick Math"], 3);
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+const { generateLog } = require("../tools/generate-log.js");
+
+function entry(id, fields = {}){
+  return { id, title: "Daily Neural Roll", categories: ["Quick Math"], xpPotential: 10, completed: false, ...fields };
+}
+
+test("memory storage round-trips a snapshot and skips unchanged saves", async () => {
+  const storage = core.createMemoryStorage();
+  const { state } = await core.loadStateFrom(storage);
+  state.log.push(entry("a"));
+
+  assert.deepEqual(await core.saveStateTo(storage, state), { written: 1, revision: 1 });
+  assert.deepEqual(await core.saveStateTo(storage, state), { written: 0, revision: 1 });
+
+  const again = await core.loadStateFrom(core.createMemoryStorage(storage.store));
+  assert.deepEqual(again.state.log, state.log);
+  assert.equal(again.migration, null);
+});
+
+test("a save over another writer's save is rejected as stale", async () => {
+  const tabA = core.createMemoryStorage();
+  const tabB = core.createMemoryStorage(tabA.store);
+  const a = (await core.loadStateFrom(tabA)).state;
+  const b = (await core.loadStateFrom(tabB)).state;
+
+  a.log.push(entry("a"));
+  await core.saveStateTo(tabA, a);
+
+  b.log.push(entry("b"));
+  await assert.rejects(core.saveStateTo(tabB, b), { name: "StaleRevisionError" });
+  assert.equal(await tabB.readRevision(), 1);
+  assert.equal(tabB.revision(), 0);
+});
+
+test("three-way merge keeps both sides' new entries and edits", () => {
+  const base = core.normalizeState({ log: [entry("x"), entry("y")] });
+  const local = structuredClone(base);
+  const remote = structuredClone(base);
+
+  local.log.unshift(entry("local"));
+  local.log.find(e => e.id === "x").mood = "🙂";
+  local.notes["Quick Math"] = "mine";
+
+  remote.log.unshift(entry("remote"));
+  remote.log.find(e => e.id === "x").completed = true;
+  remote.log = remote.log.filter(e => e.id !== "y");
+  remote.baselines["Vocabulary"] = 9;
+
+  const merged = core.mergeThreeWay(base, local, remote);
+  const x = merged.log.find(e => e.id === "x");
+
+  assert.deepEqual(merged.log.map(e => e.id), ["local", "remote", "x"]);
+  assert.equal(x.mood, "🙂");
+  assert.equal(x.completed, true);
+  assert.equal(merged.notes["Quick Math"], "mine");
+  assert.equal(merged.baselines["Vocabulary"], 9);
+});
+
+test("three-way merge keeps an entry deleted on one side but edited on the other", () => {
+  const base = core.normalizeState({ log: [entry("x")] });
+  const local = structuredClone(base);
+  const remote = structuredClone(base);
+
+  local.log[0].insightText = "kept";
+  remote.log = [];
+
+  assert.deepEqual(core.mergeThreeWay(base, local, remote).log.map(e => e.insightText), ["kept"]);
+});
+
+test("three-way merge: a conflicting scalar goes to the remote side", () => {
+  const base = core.normalizeState({});
+  const local = structuredClone(base);
+  const remote = structuredClone(base);
+  local.todayFocus = "local";
+  remote.todayFocus = "remote";
+
+  assert.equal(core.mergeThreeWay(base, local, remote).todayFocus, "remote");
+});
+
+test("the saved copy re-serializes only the named entries and spots unsaved edits", () => {
+  const st = core.normalizeState({ log: [entry("a"), entry("b")] });
+  const copy = core.createSavedCopy();
+  copy.remember(core.snapshotOf(st));
+  assert.equal(copy.differs(core.snapshotOf(st)), false);
+
+  st.log[0].answerText = "named";
+  st.log[1].answerText = "not named";
+  assert.equal(copy.differs(core.snapshotOf(st)), true);
+
+  copy.remember(core.snapshotOf(st), new Set(["a"]));
+  assert.equal(copy.snapshot().log[0].answerText, "named");
+  assert.notEqual(copy.snapshot().log[1].answerText, "not named");
+  assert.equal(copy.differs(core.snapshotOf(st)), true);
+
+  st.log.splice(1, 1);
+  st.todayFocus = "Quick Math";
+  copy.remember(core.snapshotOf(st), new Set());
+  assert.deepEqual(copy.snapshot(), core.snapshotOf(st));
+});
+
+test("a generated 5,000-entry log loads cleanly and one edit stamps one entry", async () => {
+  const backup = generateLog({ count: 5000, seed: 7, end: new Date("2026-01-01T00:00:00Z") });
+  assert.deepEqual(core.validateStateShape(backup), []);
+  assert.deepEqual(generateLog({ count: 5000, seed: 7, end: new Date("2026-01-01T00:00:00Z") }).log, backup.log);
+
+  const { state } = await core.loadStateFrom(core.createMemoryStorage(JSON.stringify(backup)));
+  assert.equal(state.log.length, 5000);
+  assert.equal(new Set(state.log.map(e => e.id)).size, 5000);
+
+  const seen = new Map();
+  core.touchEdits(state, seen, "T1");
+  state.log[1234].completed = !state.log[1234].completed;
+  assert.equal(core.touchEdits(state, seen, "T2"), 1);
+  assert.equal(state.log[1234].updatedAt, "T2");
+  assert.equal(core.touchEdits(state, seen, "T3"), 0);
+});
@@ -0,0 +1,258 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+const { createSyncStore, createSyncServer } = require("../tools/sync-server.js");
+
+// A device: its own state, sync bookkeeping and edit tracking, talking to `store`
+function device(store, name){
+  let n = 0;
+  let tick = 0;
+  const d = {
+    state: core.normalizeState({}),
+    sync: core.emptySyncMeta(`memory://${name}`),
+    seen: new Map(),
+    // Strictly increasing stamps, distinct per device
+    now: () => `2026-01-01T00:00:${String(++tick).padStart(2, "0")}.000Z#${name}`,
+    transport: {
+      pull: async (cursor) => structuredClone(store.changes(cursor, 2)),
+      push: async (records) => structuredClone(store.push(structuredClone(records)))
+    },
+    add(title){
+      const e = core.addLogEntry(d.state, { title, categories: ["Quick Math"], xpPotential: 10 }, { uuid: () => `${name}-${++n}` });
+      return e;
+    },
+    entry: (id) => d.state.log.find(e => e.id === id),
+    run: () => core.syncWithRemote(d.sync, d.transport, {
+      getState: () => d.state,
+      touch: (st) => core.touchEdits(st, d.seen, d.now()),
+      now: d.now
+    })
+  };
+  core.touchEdits(d.state, d.seen, d.now());
+  return d;
+}
+
+test("entries created on one device reach the other, in time order", async () => {
+  const store = createSyncStore();
+  const a = device(store, "a");
+  const b = device(store, "b");
+
+  a.add("first");
+  a.add("second");
+  b.add("third");
+
+  await a.run();
+  await b.run();
+  await a.run();
+
+  assert.deepEqual(a.state.log.map(e => e.id).sort(), ["a-1", "a-2", "b-1"]);
+  assert.deepEqual(b.state.log.map(e => e.id).sort(), ["a-1", "a-2", "b-1"]);
+  assert.deepEqual(a.state.log.map(e => e.ts), [...a.state.log.map(e => e.ts)].sort().reverse());
+});
+
+test("edits and deletions (tombstones) propagate", async () => {
+  const store = createSyncStore();
+  const a = device(store, "a");
+  const b = device(store, "b");
+  a.add("keep");
+  a.add("drop");
+  await a.run();
+  await b.run();
+
+  b.entry("a-1").insightText = "edited on b";
+  b.state.log = b.state.log.filter(e => e.id !== "a-2");
+  const result = await b.run();
+  assert.equal(result.pushed, 2);
+
+  await a.run();
+  assert.equal(a.entry("a-1").insightText, "edited on b");
+  assert.equal(a.entry("a-2"), undefined);
+  assert.equal(store.changes(0).records.find(r => r.id === "a-2").deleted, true);
+});
+
+test("a migrated entry gets updatedAt from its timestamp", () => {
+  const st = core.normalizeState({ log: [{ id: "x", ts: "2026-01-17T09:30:00.000Z", title: "Old", xp: 5 }] });
+  assert.equal(st.log[0].updatedAt, "2026-01-17T09:30:00.000Z");
+});
+
+test("touchEdits only stamps content changes", () => {
+  const st = core.normalizeState({});
+  const e = core.addLogEntry(st, { title: "t", categories: [], xpPotential: 1 }, { uuid: () => "id" });
+  const seen = new Map();
+
+  core.touchEdits(st, seen, "T1");
+  assert.equal(e.updatedAt, e.ts);
+
+  assert.equal(core.touchEdits(st, seen, "T2"), 0);
+  e.answerText = "changed";
+  assert.equal(core.touchEdits(st, seen, "T3"), 1);
+  assert.equal(e.updatedAt, "T3");
+
+  // Already re-stamped elsewhere (merge / another tab): left alone
+  e.answerText = "from elsewhere";
+  e.updatedAt = "X";
+  assert.equal(core.touchEdits(st, seen, "T4"), 0);
+  assert.equal(e.updatedAt, "X");
+});
+
+test("touchEdits with ids checks only those entries", () => {
+  const st = core.normalizeState({});
+  let n = 0;
+  const a = core.addLogEntry(st, { title: "a", categories: [], xpPotential: 1 }, { uuid: () => `id-${++n}` });
+  const b = core.addLogEntry(st, { title: "b", categories: [], xpPotential: 1 }, { uuid: () => `id-${++n}` });
+  const seen = new Map();
+  core.touchEdits(st, seen, "T1");
+
+  a.answerText = "edited";
+  b.answerText = "edited";
+  assert.equal(core.touchEdits(st, seen, "T2", new Set([b.id])), 1);
+  assert.equal(b.updatedAt, "T2");
+  assert.equal(a.updatedAt, a.ts);
+
+  // Left for a full check, which still catches it
+  assert.equal(core.touchEdits(st, seen, "T3"), 1);
+  assert.equal(a.updatedAt, "T3");
+});
+
+test("conflicting edits are parked, then resolved either way", async () => {
+  const store = createSyncStore();
+  const a = device(store, "a");
+  const b = device(store, "b");
+  a.add("shared");
+  await a.run();
+  await b.run();
+
+  a.entry("a-1").answerText = "A's answer";
+  b.entry("a-1").answerText = "B's answer";
+  await a.run();
+  const result = await b.run();
+
+  assert.equal(result.conflicts, 1);
+  assert.equal(b.sync.conflicts["a-1"].data.answerText, "A's answer");
+  assert.equal(b.entry("a-1").answerText, "B's answer");
+
+  // Keep mine: B's version goes up and A gets it
+  core.resolveConflict(b.state, b.sync, "a-1", "local", b.now());
+  await b.run();
+  await a.run();
+  assert.deepEqual(b.sync.conflicts, {});
+  assert.equal(a.entry("a-1").answerText, "B's answer");
+
+  // Take theirs
+  a.entry("a-1").answerText = "A again";
+  b.entry("a-1").answerText = "B again";
+  await a.run();
+  await b.run();
+  core.resolveConflict(b.state, b.sync, "a-1", "remote", b.now());
+  await b.run();
+  assert.equal(b.entry("a-1").answerText, "A again");
+  assert.equal((await a.run()).pulled, 0);
+});
+
+test("an edit on one device and a delete on the other is a conflict", async () => {
+  const store = createSyncStore();
+  const a = device(store, "a");
+  const b = device(store, "b");
+  a.add("contested");
+  await a.run();
+  await b.run();
+
+  a.state.log = [];
+  b.entry("a-1").completed = true;
+  await a.run();
+  assert.equal((await b.run()).conflicts, 1);
+  assert.equal(b.sync.conflicts["a-1"].deleted, true);
+
+  core.resolveConflict(b.state, b.sync, "a-1", "local", b.now());
+  await b.run();
+  await a.run();
+  assert.equal(a.entry("a-1").completed, true);
+});
+
+test("identical edits on both sides don't conflict", async () => {
+  const store = createSyncStore();
+  const a = device(store, "a");
+  const b = device(store, "b");
+  a.add("same");
+  await a.run();
+  await b.run();
+
+  a.entry("a-1").completed = true;
+  b.entry("a-1").completed = true;
+  await a.run();
+  assert.equal((await b.run()).conflicts, 0);
+});
+
+test("the shared state merges key by key and never conflicts", async () => {
+  const store = createSyncStore();
+  const a = device(store, "a");
+  const b = device(store, "b");
+  a.state.baselines["Quick Math"] = 9;
+  await a.run();
+  await b.run();
+  assert.equal(b.state.baselines["Quick Math"], 9);
+
+  a.state.baselines["Vocabulary"] = 2;
+  a.state.todayFocus = "only on a";
+  b.state.notes["Quick Math"] = "from b";
+  await a.run();
+  await b.run();
+  await a.run();
+
+  for(const d of [a, b]){
+    assert.equal(d.state.baselines["Vocabulary"], 2);
+    assert.equal(d.state.notes["Quick Math"], "from b");
+  }
+  assert.notEqual(b.state.todayFocus, "only on a");
+});
+
+test("merging baseline history leaves the server's record and the agreed base alone", () => {
+  const st = core.normalizeState({});
+  const p1 = { at: "2026-01-01T00:00:00.000Z", score: 4, source: "initial" };
+  const p2 = { at: "2026-01-02T00:00:00.000Z", score: st.baselines["Quick Math"], source: "edit" };
+  st.baselineHistory = { "Quick Math": [p1] };
+  st.updatedAt = "local-edit";
+
+  // This device only re-stamped; the server's history no longer has p1
+  const sync = core.emptySyncMeta("memory://x");
+  sync.base[core.SYNC_STATE_ID] = "agreed";
+  sync.baseState = core.syncStateData(st);
+  const remote = { kind: "state", id: core.SYNC_STATE_ID, updatedAt: "server", data: { ...core.syncStateData(st), baselineHistory: { "Quick Math": [p2] } } };
+  const sent = structuredClone(remote);
+
+  core.applyRemoteChanges(st, sync, [remote], "now");
+
+  assert.deepEqual(remote, sent);
+  assert.deepEqual(sync.baseState.baselineHistory, { "Quick Math": [p2] });
+  assert.deepEqual(st.baselineHistory["Quick Math"], [p1, p2]);
+});
+
+test("records from a newer schema stop the sync", async () => {
+  const store = createSyncStore();
+  store.push([{ kind: "entry", id: "z", updatedAt: "T", data: { id: "z" }, schemaVersion: core.SCHEMA_VERSION + 1 }]);
+  const a = device(store, "a");
+  await assert.rejects(a.run(), /newer app/);
+});
+
+test("HTTP transport against the reference server", async () => {
+  const server = createSyncServer({ token: "s3cret" });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const endpoint = `http://127.0.0.1:${server.address().port}/main`;
+
+  try{
+    const st = core.normalizeState({});
+    core.addLogEntry(st, { title: "over http", categories: [], xpPotential: 1 }, { uuid: () => "h-1" });
+    const sync = core.emptySyncMeta(endpoint, "s3cret");
+
+    const result = await core.syncWithRemote(sync, core.createHttpTransport(endpoint, "s3cret"), { getState: () => st });
+    assert.equal(result.pushed, 2);
+
+    const other = core.normalizeState({});
+    await core.syncWithRemote(core.emptySyncMeta(endpoint), core.createHttpTransport(endpoint, "s3cret"), { getState: () => other });
+    assert.equal(other.log[0].title, "over http");
+
+    await assert.rejects(core.createHttpTransport(endpoint, "wrong").pull(0), /401/);
+  }finally{
+    server.close();
+  }
+});
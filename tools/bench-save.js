@@ -0,0 +1,68 @@
+/* =========================================================
+  NeuroForge // tools/bench-save.js
+
+  Purpose:
+    - Time the save bookkeeping behind one edit on a large log (edit stamping,
+      per-entry diff, merge base), checking every entry vs only the edited one
+    - Uses tools/generate-log.js data; rendering isn't measured (no browser here)
+    - No dependencies: node tools/bench-save.js [--count 5000] [--runs 20]
+========================================================= */
+const core = require("../core.js");
+const { generateLog } = require("./generate-log.js");
+
+/** Average milliseconds per call of `fn` over `runs` calls. */
+function time(runs, fn){
+  const start = performance.now();
+  for(let i = 0; i < runs; i++) fn(i);
+  return (performance.now() - start) / runs;
+}
+
+function benchSave({ count = 5000, runs = 20 } = {}){
+  const st = core.normalizeState(generateLog({ count, end: new Date("2026-01-01T00:00:00Z") }));
+  const target = st.log[Math.floor(count / 2)];
+  const ids = new Set([target.id]);
+
+  const seen = new Map();
+  core.touchEdits(st, seen, "T0");
+  const saved = core.createSavedCopy();
+  saved.remember(core.snapshotOf(st));
+  const written = new Map(st.log.map(e => [e.id, JSON.stringify(e)]));
+
+  const edit = (i) => { target.answerText = `edit ${i}`; };
+
+  // Every entry: stamp check, per-entry backend diff, whole-snapshot merge base
+  const full = time(runs, (i) => {
+    edit(i);
+    core.touchEdits(st, seen, `F${i}`);
+    for(const e of st.log){
+      const json = JSON.stringify(e);
+      if(written.get(e.id) !== json) written.set(e.id, json);
+    }
+    saved.remember(core.snapshotOf(st));
+  });
+
+  // Only the edited entry (what a commit(id) save does)
+  const dirty = time(runs, (i) => {
+    edit(i);
+    core.touchEdits(st, seen, `D${i}`, ids);
+    written.set(target.id, JSON.stringify(target));
+    saved.remember(core.snapshotOf(st), ids);
+  });
+
+  return { count, runs, full, dirty };
+}
+
+module.exports = { benchSave };
+
+if(require.main === module){
+  const args = process.argv.slice(2);
+  const opt = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+  };
+
+  const r = benchSave({ count: Number(opt("count", 5000)), runs: Number(opt("runs", 20)) });
+  console.log(`${r.count} entries, ${r.runs} runs each (ms per edit):`);
+  console.log(`  save bookkeeping, every entry  ${r.full.toFixed(2)}`);
+  console.log(`  save bookkeeping, edited only  ${r.dirty.toFixed(2)}`);
+}
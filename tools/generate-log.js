@@ -0,0 +1,70 @@
+/* =========================================================
+  NeuroForge // tools/generate-log.js
+
+  Purpose:
+    - Write a backup with a large, realistic-looking Session Log, for checking
+      how the app copes with years of sessions (import it under a spare profile)
+    - Seeded, so the same arguments always give the same file
+    - No dependencies: node tools/generate-log.js [--count 5000] [--seed 1] [--out big-log.json]
+========================================================= */
+const fs = require("fs");
+const core = require("../core.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILLER = "Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor. ";
+
+/** Default state plus `count` entries, roughly one a day going back from `end`, newest first. */
+function generateLog({ count = 5000, seed = 1, end = new Date() } = {}){
+  const random = core.mulberry32(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const st = core.normalizeState({}, "initial", { now: () => end });
+  const skills = core.activeSkillNames(st);
+
+  let n = 0;
+  let at = end.getTime();
+  const entries = [];
+  for(let i = 0; i < count; i++){
+    at -= DAY_MS * (0.4 + random() * 0.8);
+    const d = new Date(at);
+    const cats = [...new Set([pick(skills), pick(skills)])];
+
+    const e = core.addLogEntry({ log: [] }, {
+      title: pick(["🎲 Daily Neural Roll", "⚡ Quick Sprint", "🧩 Deep Focus"]),
+      categories: cats,
+      xpPotential: pick([10, 20, 30]),
+      challengeText: `## ${cats.join(" + ")}\n\n- warm up for **5 min**\n- then _one_ hard set\n\n${FILLER.repeat(1 + Math.floor(random() * 4))}`
+    }, { uuid: () => `gen-${seed}-${++n}` });
+
+    Object.assign(e, {
+      ts: d.toISOString(),
+      updatedAt: d.toISOString(),
+      time: core.nowStamp(d),
+      completed: random() < 0.7,
+      mood: random() < 0.6 ? pick(core.MOODS) : "",
+      sleepHrs: random() < 0.5 ? Math.round((5 + random() * 4) * 2) / 2 : "",
+      difficulty: random() < 0.6 ? pick(core.DIFFICULTIES) : "",
+      liked: random() < 0.4 ? pick(core.ENJOYED) : "",
+      answerText: random() < 0.8 ? FILLER.repeat(1 + Math.floor(random() * 3)) : "",
+      insightText: random() < 0.3 ? `Noticed: ${FILLER}` : ""
+    });
+    entries.push(e);
+  }
+
+  st.log = entries;
+  return { ...st, schemaVersion: core.SCHEMA_VERSION };
+}
+
+module.exports = { generateLog };
+
+if(require.main === module){
+  const args = process.argv.slice(2);
+  const opt = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+  };
+
+  const out = opt("out", "big-log.json");
+  const backup = generateLog({ count: Number(opt("count", 5000)), seed: Number(opt("seed", 1)) });
+  fs.writeFileSync(out, JSON.stringify(backup, null, 2));
+  console.log(`Wrote ${backup.log.length} entries to ${out}`);
+}
@@ -0,0 +1,176 @@
+/* =========================================================
+  NeuroForge // tools/sync-server.js
+
+  Purpose:
+    - Reference backend for remote sync (protocol: README, "Remote sync")
+    - Small enough to read in one go; meant for a LAN box / testing, not
+      for exposing to the internet as is
+    - No dependencies: node tools/sync-server.js [--port 8787] [--file sync-data.json] [--token secret]
+
+  Model:
+    - One record store per endpoint path ("/main", "/alice", …)
+    - Every accepted write gets the next sequence number; pulls page through
+      records by sequence, so a client's cursor is just the last one it saw
+    - Deletions are kept as tombstones (never purged here)
+    - A push is accepted when the record's baseUpdatedAt matches what the
+      server holds (optimistic concurrency); otherwise the server's version
+      is sent back and the client decides
+========================================================= */
+const http = require("http");
+const fs = require("fs");
+
+const PAGE_LIMIT = 500;
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+/** Protocol-level store: changes(since) + push(records). Used by the server and the tests. */
+function createSyncStore(dump = {}){
+  let seq = Number(dump.seq) || 0;
+  const records = new Map(Object.entries(dump.records || {}));
+
+  const strip = ({ seq: _seq, ...rec }) => rec;
+
+  return {
+    changes(since = 0, limit = PAGE_LIMIT){
+      // A cursor from before a server reset would skip everything: start over
+      const from = since > seq ? 0 : since;
+      const newer = [...records.values()].filter(r => r.seq > from).sort((a, b) => a.seq - b.seq);
+      const page = newer.slice(0, limit);
+
+      return {
+        cursor: page.length ? page[page.length - 1].seq : seq,
+        more: newer.length > page.length,
+        records: page.map(strip)
+      };
+    },
+
+    push(incoming){
+      const accepted = [];
+      const rejected = [];
+
+      for(const r of Array.isArray(incoming) ? incoming : []){
+        if(!r || typeof r.id !== "string" || typeof r.updatedAt !== "string" || !["entry", "state"].includes(r.kind)) continue;
+
+        const current = records.get(r.id);
+        if(current && current.updatedAt !== (r.baseUpdatedAt ?? null)){
+          rejected.push(strip(current));
+          continue;
+        }
+
+        records.set(r.id, {
+          kind: r.kind,
+          id: r.id,
+          updatedAt: r.updatedAt,
+          ...(r.deleted ? { deleted: true } : { data: r.data }),
+          schemaVersion: r.schemaVersion,
+          seq: ++seq
+        });
+        accepted.push(r.id);
+      }
+
+      return { cursor: seq, accepted, rejected };
+    },
+
+    dump(){
+      return { seq, records: Object.fromEntries(records) };
+    }
+  };
+}
+
+function readBody(req){
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if(size > MAX_BODY_BYTES){
+        reject(Object.assign(new Error("Body too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * HTTP server over one store per path. With `file`, stores are loaded from and
+ * written back to that JSON file after every accepted push.
+ */
+function createSyncServer({ token = "", file = "" } = {}){
+  const saved = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const stores = new Map(Object.entries(saved).map(([space, dump]) => [space, createSyncStore(dump)]));
+
+  const storeFor = (space) => {
+    if(!stores.has(space)) stores.set(space, createSyncStore());
+    return stores.get(space);
+  };
+
+  const writeFile = () => {
+    if(!file) return;
+    const out = Object.fromEntries([...stores].map(([space, store]) => [space, store.dump()]));
+    fs.writeFileSync(file, JSON.stringify(out));
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  return http.createServer(async (req, res) => {
+    // The app runs on another origin (GitHub Pages, file server, …)
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    if(req.method === "OPTIONS"){
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if(token && req.headers.authorization !== `Bearer ${token}`){
+      send(res, 401, { error: "unauthorized" });
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const m = url.pathname.match(/^(.*?)\/(changes|push)\/?$/);
+    if(!m){
+      send(res, 404, { error: "not found" });
+      return;
+    }
+    const store = storeFor(m[1] || "/");
+
+    try{
+      if(m[2] === "changes" && req.method === "GET"){
+        send(res, 200, store.changes(Number(url.searchParams.get("since")) || 0));
+      }else if(m[2] === "push" && req.method === "POST"){
+        const body = JSON.parse((await readBody(req)) || "{}");
+        const result = store.push(body.records);
+        if(result.accepted.length) writeFile();
+        send(res, 200, result);
+      }else{
+        send(res, 405, { error: "method not allowed" });
+      }
+    }catch(e){
+      send(res, e.status || 400, { error: String(e.message || e) });
+    }
+  });
+}
+
+module.exports = { createSyncStore, createSyncServer };
+
+if(require.main === module){
+  const args = process.argv.slice(2);
+  const opt = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+  };
+
+  const port = Number(opt("port", 8787));
+  const file = opt("file", "");
+  createSyncServer({ token: opt("token", process.env.NEUROFORGE_SYNC_TOKEN || ""), file }).listen(port, () => {
+    console.log(`NeuroForge sync server on http://localhost:${port}/<name> ${file ? `(saving to ${file})` : "(in memory)"}`);
+  });
+}